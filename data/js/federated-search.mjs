@@ -0,0 +1,42 @@
+'use strict'
+
+/**
+ * Merges the results of the indexes of several modules into one ranked list.
+ *
+ * The scores of all the results are divided by the best score of all the indexes, so they range from 0 to 1.
+ * Using one reference keeps a weak hit in one index from being ranked like the best hit of another index,
+ * which would happen if the scores of each index were divided by the best score of that index.
+ * @param {Object[]} moduleResults - The results of each index
+ * @param {Object} moduleResults.store - The store of the index
+ * @param {Object[]} moduleResults.result - The Lunr results of the index
+ * @returns {{item: Object, store: Object, score: number}[]} The merged results, the best first
+ */
+export function mergeResults (moduleResults) {
+  const merged = []
+  for (const { store, result } of moduleResults) {
+    for (const item of result) merged.push({ item, store })
+  }
+  const maxScore = merged.reduce((max, { item }) => Math.max(max, item.score), 0)
+  merged.forEach((result) => (result.score = maxScore > 0 ? result.item.score / maxScore : 0))
+  return merged.sort((a, b) => b.score - a.score)
+}
+
+/**
+ * Groups the ranked results, ordering the groups by their best result and keeping the order of the results in a group.
+ * @param {Object[]} results - The ranked results
+ * @param {Function} getGroup - Returns the key of the group of a result
+ * @returns {Object[]} The grouped results
+ */
+export function groupResults (results, getGroup) {
+  const groups = new Map()
+  for (const result of results) {
+    const key = getGroup(result)
+    const group = groups.get(key)
+    if (group) {
+      group.push(result)
+    } else {
+      groups.set(key, [result])
+    }
+  }
+  return [...groups.values()].flat()
+}
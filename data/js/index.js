@@ -1,16 +1,64 @@
-/* global CustomEvent, globalThis */
+/* global CustomEvent, globalThis, Option */
 'use strict'
 
-import { buildHighlightedText, findTermPosition, LevenshteinTrieUser } from './search-result-highlighting.mjs'
+import {
+  buildHighlightedText,
+  findCodeLine,
+  findCompletions,
+  findCorrections,
+  findTermPosition,
+  LevenshteinTrieUser,
+} from './search-result-highlighting.mjs'
+import { groupResults, mergeResults } from './federated-search.mjs'
+import { loadModules, prioritizeModules } from './module-loading.mjs'
+import { inDocuments, queryIndex, queryIndexes } from './search-query.mjs'
+import { registerSynonymsFilter, registerTokenizerFilters } from './search-tokenizer.mjs'
 
 const config = document.getElementById('search-ui-script').dataset
 const snippetLength = parseInt(config.snippetLength || 100, 10)
+// number of modules of a split index to load at a time in the background
+const loadConcurrency = Math.max(parseInt(config.loadConcurrency || 2, 10), 1)
 const siteRootPath = config.siteRootPath || ''
+const ALL_VERSIONS = '*'
+const SEARCH_RESULT_LISTBOX_ID = 'search-result-listbox'
+const SEARCH_PAGE_SIZE = 20
+// suggest corrections when a query returns fewer results than this
+const SUGGESTION_THRESHOLD = 3
+// the full-page search results, only present on the search page
+const searchResultsPage = document.getElementById('search-results-page')
+const searchPageParams = new URLSearchParams(searchResultsPage ? globalThis.location.search : '')
+// the search page isn't part of any component, so it keeps the scope of the page the search was started from
+let pageComponent = searchResultsPage ? searchPageParams.get('component') || undefined : config.pageComponent
+// version of the current component to search; other components are searched in their latest version
+let versionScope = searchResultsPage ? searchPageParams.get('version') || ALL_VERSIONS : config.pageVersion
+// renders the search page again when its URL changes, once the index is loaded
+let renderSearchResultsPage
 appendStylesheet(config.stylesheet)
 const searchInput = document.getElementById('search-input')
 const searchResultContainer = document.createElement('div')
 searchResultContainer.classList.add('search-result-dropdown-menu')
 searchInput.parentNode.appendChild(searchResultContainer)
+// the search input controls the list of results (WAI-ARIA combobox pattern)
+searchInput.setAttribute('role', 'combobox')
+// the first completion of the query is shown inline after the caret
+searchInput.setAttribute('aria-autocomplete', 'both')
+searchInput.setAttribute('aria-expanded', 'false')
+searchInput.setAttribute('aria-controls', SEARCH_RESULT_LISTBOX_ID)
+// announce the number of results to screen reader users
+const searchResultStatus = document.createElement('div')
+searchResultStatus.classList.add('search-result-status')
+searchResultStatus.setAttribute('role', 'status')
+searchResultStatus.setAttribute('aria-live', 'polite')
+searchInput.parentNode.appendChild(searchResultStatus)
+// ghost text that shows the rest of the first completion of the query, accepted with Tab or the right arrow key
+const searchCompletionGhost = document.createElement('div')
+searchCompletionGhost.classList.add('search-completion-ghost')
+searchCompletionGhost.setAttribute('aria-hidden', 'true')
+searchCompletionGhost.hidden = true
+searchInput.parentNode.appendChild(searchCompletionGhost)
+let searchCompletion
+searchInput.addEventListener('input', renderCompletionGhost)
+searchInput.addEventListener('click', renderCompletionGhost)
 const facetFilterInput = document.querySelector('#search-field input[type=checkbox][data-facet-filter]')
 
 function appendStylesheet (href) {
@@ -44,10 +92,9 @@ function highlightKeyword (doc, terms) {
   return []
 }
 
-function highlightText (doc, terms) {
-  const text = doc.text
+function highlightText (text, terms, length = snippetLength) {
   const positions = getTermPosition(text, terms)
-  return buildHighlightedText(text, positions, snippetLength)
+  return buildHighlightedText(text, positions, length)
 }
 
 function getTermPosition (text, terms) {
@@ -67,7 +114,12 @@ function getTermPosition (text, terms) {
   return positions.length === 0 ? [] : positions
 }
 
-function highlightHit (searchMetadata, sectionTitle, doc) {
+// the snippet of a section hit is taken from the body of the section
+function getSectionText (doc, sectionTitle) {
+  return sectionTitle && sectionTitle.end ? doc.text.slice(sectionTitle.start, sectionTitle.end) : doc.text
+}
+
+function highlightHit (searchMetadata, sectionTitle, doc, length = snippetLength) {
   const terms = {}
   for (const term in searchMetadata) {
     const fields = searchMetadata[term]
@@ -75,23 +127,62 @@ function highlightHit (searchMetadata, sectionTitle, doc) {
       terms[field] = [...(terms[field] || []), term]
     }
   }
+  // a hit in the code shows the matching line of the listings of the section, unless the text matches too
+  const codeLine = terms.code && !terms.text && findCodeLine(getSectionCode(doc, sectionTitle), terms.code)
   return {
     pageTitleNodes: highlightPageTitle(doc.title, terms.title || []),
     sectionTitleNodes: highlightSectionTitle(sectionTitle, terms.title || []),
-    pageContentNodes: highlightText(doc, terms.text || []),
+    pageContentNodes: codeLine
+      ? highlightText(codeLine, terms.code, length)
+      : highlightText(getSectionText(doc, sectionTitle), terms.text || [], length),
     pageKeywordNodes: highlightKeyword(doc, terms.keyword || []),
+    codeHit: Boolean(terms.code),
+    codeSnippet: Boolean(codeLine),
   }
 }
 
-function createSearchResult (result, store, searchResultDataset) {
+// Joins the content of the listings of each section, keyed by the id of the title of the section (0 for the preamble)
+function groupListings (listings = []) {
+  return listings.reduce((code, { text, section = 0 }) => {
+    return code.set(section, code.has(section) ? `${code.get(section)}\n${text}` : text)
+  }, new Map())
+}
+
+function getSectionCode (doc, sectionTitle) {
+  return groupListings(doc.listings).get(sectionTitle ? sectionTitle.id : 0) || ''
+}
+
+// Marks a hit in the code of the listings and wraps the matching line in a code element
+function appendSnippet (highlightingResult, parent) {
+  if (highlightingResult.codeHit) {
+    const codeLabel = document.createElement('span')
+    codeLabel.classList.add('search-result-code-label')
+    codeLabel.innerText = 'code'
+    parent.appendChild(codeLabel)
+  }
+  let snippet = parent
+  if (highlightingResult.codeSnippet) {
+    snippet = document.createElement('code')
+    snippet.classList.add('search-result-code-snippet')
+    parent.appendChild(snippet)
+  }
+  highlightingResult.pageContentNodes.forEach((node) => createHighlightedText(node, snippet))
+}
+
+/**
+ * Renders the results, with a header each time the component version changes.
+ * @param {Object[]} results - The results, each with the Lunr result (item) and the store of its index
+ * @param {Element} searchResultDataset
+ */
+function createSearchResult (results, searchResultDataset) {
   // Batch DOM updates using a DocumentFragment and cap the number of rendered items
   const MAX_RESULTS_PER_DATASET = 200
   const frag = document.createDocumentFragment()
   let currentComponent
-  const total = result.length
+  const total = results.length
   const limit = total > MAX_RESULTS_PER_DATASET ? MAX_RESULTS_PER_DATASET : total
   for (let i = 0; i < limit; i++) {
-    const item = result[i]
+    const { item, store } = results[i]
     const ids = item.ref.split('-')
     const docId = ids[0]
     const doc = store.documents[docId]
@@ -108,6 +199,7 @@ function createSearchResult (result, store, searchResultDataset) {
     if (componentVersion !== undefined && currentComponent !== componentVersion) {
       const searchResultComponentHeader = document.createElement('div')
       searchResultComponentHeader.classList.add('search-result-component-header')
+      searchResultComponentHeader.setAttribute('role', 'presentation')
       const { title, displayVersion } = componentVersion
       const componentVersionText = `${title}${doc.version && displayVersion ? ` ${displayVersion}` : ''}`
       searchResultComponentHeader.appendChild(document.createTextNode(componentVersionText))
@@ -120,6 +212,7 @@ function createSearchResult (result, store, searchResultDataset) {
   if (total > limit) {
     const note = document.createElement('div')
     note.classList.add('search-result-more')
+    note.setAttribute('role', 'presentation')
     note.textContent = `Showing top ${limit} of ${total} results. Refine your search to narrow results.`
     frag.appendChild(note)
   }
@@ -151,7 +244,7 @@ function createSearchResultItem (doc, sectionTitle, item, highlightingResult) {
     documentHitLink.appendChild(documentSectionTitle)
     highlightingResult.sectionTitleNodes.forEach((node) => createHighlightedText(node, documentSectionTitle))
   }
-  highlightingResult.pageContentNodes.forEach((node) => createHighlightedText(node, documentHitLink))
+  appendSnippet(highlightingResult, documentHitLink)
 
   // only show keyword when we got a hit on them
   if (doc.keyword && highlightingResult.pageKeywordNodes.length > 1) {
@@ -169,6 +262,9 @@ function createSearchResultItem (doc, sectionTitle, item, highlightingResult) {
   }
   const searchResultItem = document.createElement('div')
   searchResultItem.classList.add('search-result-item')
+  if (highlightingResult.codeHit) searchResultItem.classList.add('search-result-code-hit')
+  searchResultItem.setAttribute('role', 'option')
+  searchResultItem.setAttribute('aria-selected', 'false')
   searchResultItem.appendChild(documentTitle)
   searchResultItem.appendChild(documentHit)
   searchResultItem.addEventListener('mousedown', function (e) {
@@ -208,137 +304,638 @@ function createNoResult (text) {
   return searchResultItem
 }
 
+/**
+ * Creates the "Did you mean" message with a control for each corrected query.
+ * @param {String[]} suggestions - The corrected queries
+ * @param {Function} select - Called with the corrected query the user selects
+ * @param {Function} [getUrl] - Returns the URL of the results of a corrected query, to render links instead of buttons
+ * @returns {HTMLElement}
+ */
+function createSuggestions (suggestions, select, getUrl) {
+  const container = document.createElement('div')
+  container.classList.add('search-result-suggestions')
+  container.appendChild(document.createTextNode('Did you mean '))
+  suggestions.forEach((suggestion, idx) => {
+    if (idx > 0) container.appendChild(document.createTextNode(idx === suggestions.length - 1 ? ' or ' : ', '))
+    let control
+    if (getUrl) {
+      control = document.createElement('a')
+      control.href = getUrl(suggestion)
+    } else {
+      control = document.createElement('button')
+      control.type = 'button'
+      // keep the focus in the search input
+      control.addEventListener('mousedown', (e) => e.preventDefault())
+    }
+    control.classList.add('search-result-suggestion')
+    control.innerText = suggestion
+    control.addEventListener('click', (e) => {
+      e.preventDefault()
+      select(suggestion)
+    })
+    container.appendChild(control)
+  })
+  container.appendChild(document.createTextNode('?'))
+  return container
+}
+
+// Suggests corrections in the dropdown when the query returns nothing or very little
+function appendSearchSuggestions (parent, stores, query, count, refresh) {
+  if (count >= SUGGESTION_THRESHOLD) return
+  const suggestions = findSuggestions(stores, query)
+  if (suggestions.length === 0) return
+  parent.appendChild(
+    createSuggestions(suggestions, (suggestion) => {
+      searchInput.value = suggestion
+      searchInput.focus()
+      refresh()
+    })
+  )
+}
+
+function filterByVersion (result, documents, components) {
+  if (!pageComponent || versionScope === ALL_VERSIONS || !components) return result
+  return result.filter((item) => {
+    const doc = documents[item.ref.split('-')[0]]
+    if (doc.component === pageComponent) return doc.version === versionScope
+    const component = components[doc.component]
+    return !component || doc.version === component.latest
+  })
+}
+
+function createVersionScope (components, refresh) {
+  const component = pageComponent && components && components[pageComponent]
+  if (!component || !Object.values(components).some(({ versions }) => versions.length > 1)) return
+  const versionScopeContainer = document.createElement('div')
+  versionScopeContainer.classList.add('search-result-version-scope')
+  const label = document.createElement('label')
+  label.appendChild(document.createTextNode('Search in '))
+  const select = document.createElement('select')
+  component.versions.forEach(({ version, displayVersion }) => {
+    select.appendChild(new Option(`${component.title} ${displayVersion || version}`, version))
+  })
+  select.appendChild(new Option('All versions', ALL_VERSIONS))
+  select.value = versionScope
+  select.addEventListener('change', () => {
+    versionScope = select.value
+    searchInput.focus()
+    refresh()
+  })
+  label.appendChild(select)
+  versionScopeContainer.appendChild(label)
+  return versionScopeContainer
+}
+
+// Facet values selected using the facet chips, keyed by facet (page attribute) name
+const selectedFacetValues = {}
+
+function filterByFacets (result, documents) {
+  const facets = Object.keys(selectedFacetValues).filter((facet) => selectedFacetValues[facet].size > 0)
+  if (facets.length === 0) return result
+  return result.filter((item) => {
+    const docFacets = documents[item.ref.split('-')[0]].facets || {}
+    return facets.every((facet) => (docFacets[facet] || []).some((value) => selectedFacetValues[facet].has(value)))
+  })
+}
+
+function countFacetValues (result, documents, counts = {}) {
+  // a page matched by both its content and a section title must only be counted once
+  const seen = new Set()
+  for (const item of result) {
+    const docId = item.ref.split('-')[0]
+    if (seen.has(docId)) continue
+    seen.add(docId)
+    const docFacets = documents[docId].facets
+    if (!docFacets) continue
+    for (const facet in docFacets) {
+      const facetCounts = counts[facet] || (counts[facet] = {})
+      docFacets[facet].forEach((value) => {
+        facetCounts[value] = (facetCounts[value] || 0) + 1
+      })
+    }
+  }
+  return counts
+}
+
+function toggleFacetValue (facet, value) {
+  const values = selectedFacetValues[facet] || (selectedFacetValues[facet] = new Set())
+  if (values.has(value)) {
+    values.delete(value)
+  } else {
+    values.add(value)
+  }
+}
+
+function createFacetChips (facets, counts, refresh) {
+  const facetsContainer = document.createElement('div')
+  facetsContainer.classList.add('search-result-facets')
+  for (const facet of facets) {
+    const facetCounts = { ...counts[facet] }
+    const selected = selectedFacetValues[facet] || new Set()
+    // keep selected values visible so they can be deselected even when they no longer match
+    selected.forEach((value) => {
+      if (!(value in facetCounts)) facetCounts[value] = 0
+    })
+    const values = Object.keys(facetCounts).sort()
+    if (values.length === 0) continue
+    const facetGroup = document.createElement('div')
+    facetGroup.classList.add('search-result-facet')
+    const facetLabel = document.createElement('span')
+    facetLabel.classList.add('search-result-facet-label')
+    facetLabel.innerText = facet.replace(/^page-/, '').replace(/-/g, ' ')
+    facetGroup.appendChild(facetLabel)
+    values.forEach((value) => {
+      const chip = document.createElement('button')
+      chip.type = 'button'
+      chip.classList.add('search-result-facet-chip')
+      chip.setAttribute('aria-pressed', String(selected.has(value)))
+      chip.appendChild(document.createTextNode(value))
+      const count = document.createElement('span')
+      count.classList.add('search-result-facet-count')
+      count.innerText = facetCounts[value]
+      chip.appendChild(count)
+      // keep the focus on the search input
+      chip.addEventListener('mousedown', (e) => e.preventDefault())
+      chip.addEventListener('click', () => {
+        toggleFacetValue(facet, value)
+        searchInput.focus()
+        refresh()
+      })
+      facetGroup.appendChild(chip)
+    })
+    facetsContainer.appendChild(facetGroup)
+  }
+  return facetsContainer.childElementCount > 0 ? facetsContainer : undefined
+}
+
 function clearSearchResults (reset) {
   if (reset === true) searchInput.value = ''
   searchResultContainer.innerHTML = ''
+  searchCompletion = undefined
+  renderCompletionGhost()
+  searchInput.setAttribute('aria-expanded', 'false')
+  searchInput.removeAttribute('aria-activedescendant')
+  searchResultStatus.textContent = ''
 }
 
-function filter (result, documents) {
-  const facetFilter = facetFilterInput && facetFilterInput.checked && facetFilterInput.dataset.facetFilter
-  if (facetFilter) {
-    const [field, value] = facetFilter.split(':')
-    return result.filter((item) => {
-      const ids = item.ref.split('-')
-      const docId = ids[0]
-      const doc = documents[docId]
-      return field in doc && doc[field] === value
+function createSearchResultListbox () {
+  const listbox = document.createElement('div')
+  listbox.id = SEARCH_RESULT_LISTBOX_ID
+  listbox.setAttribute('role', 'listbox')
+  listbox.setAttribute('aria-label', 'Search results')
+  return listbox
+}
+
+function createSearchResultDataset (parent) {
+  const dataset = document.createElement('div')
+  dataset.classList.add('search-result-dataset')
+  if (parent.id === SEARCH_RESULT_LISTBOX_ID) dataset.setAttribute('role', 'presentation')
+  parent.appendChild(dataset)
+  return dataset
+}
+
+function getSearchResultOptions () {
+  return [...searchResultContainer.querySelectorAll('[role="option"]')]
+}
+
+// Called once the results are rendered to expose them to assistive technologies
+function updateSearchResultState (count) {
+  getSearchResultOptions().forEach((option, idx) => {
+    option.id = `search-result-option-${idx + 1}`
+  })
+  searchInput.removeAttribute('aria-activedescendant')
+  if (count > 0 && config.searchPage) searchResultContainer.appendChild(createSeeAllResultsLink(count))
+  searchInput.setAttribute('aria-expanded', String(!isClosed()))
+  searchResultStatus.textContent = count > 0 ? `${count} result${count === 1 ? '' : 's'} found` : 'No results found'
+}
+
+function getSearchPageUrl (query, pageNumber) {
+  const params = new URLSearchParams({ q: query })
+  if (pageComponent) {
+    params.set('component', pageComponent)
+    params.set('version', versionScope)
+  }
+  if (pageNumber > 1) params.set('page', pageNumber)
+  return `${config.searchPage}?${params}`
+}
+
+// Shows the results of the query on the search page, without reloading it if it's the current page
+function openSearchPage (query, pageNumber) {
+  const url = getSearchPageUrl(query, pageNumber)
+  if (!renderSearchResultsPage) return globalThis.location.assign(url)
+  clearSearchResults()
+  globalThis.history.pushState(null, '', url)
+  renderSearchResultsPage()
+}
+
+function createSeeAllResultsLink (count) {
+  const link = document.createElement('a')
+  link.classList.add('search-result-see-all')
+  link.href = getSearchPageUrl(searchInput.value)
+  link.innerText = `See all ${count} result${count === 1 ? '' : 's'}`
+  link.addEventListener('click', (e) => {
+    if (!renderSearchResultsPage) return
+    e.preventDefault()
+    openSearchPage(searchInput.value)
+  })
+  return link
+}
+
+// Shows the rest of the first completion after the query, as long as it still completes what's typed
+function renderCompletionGhost () {
+  const value = searchInput.value
+  const completion = searchCompletion
+  searchCompletionGhost.innerHTML = ''
+  searchCompletionGhost.hidden =
+    !completion ||
+    !value ||
+    completion.length <= value.length ||
+    !completion.toLowerCase().startsWith(value.toLowerCase()) ||
+    searchInput.selectionEnd !== value.length ||
+    // the ghost text can't be aligned with the text once it scrolls
+    searchInput.scrollWidth > searchInput.clientWidth
+  if (searchCompletionGhost.hidden) return
+  const style = globalThis.getComputedStyle(searchInput)
+  Object.assign(searchCompletionGhost.style, {
+    left: `${searchInput.offsetLeft}px`,
+    top: `${searchInput.offsetTop}px`,
+    width: `${searchInput.offsetWidth}px`,
+    height: `${searchInput.offsetHeight}px`,
+    font: style.font,
+    letterSpacing: style.letterSpacing,
+    padding: style.padding,
+    borderWidth: style.borderWidth,
+  })
+  const typed = document.createElement('span')
+  typed.classList.add('search-completion-ghost-typed')
+  typed.textContent = value
+  searchCompletionGhost.appendChild(typed)
+  searchCompletionGhost.appendChild(document.createTextNode(completion.slice(value.length)))
+}
+
+/**
+ * Replaces the query with the completion shown as ghost text when Tab or the right arrow key is pressed.
+ * @param {KeyboardEvent} e
+ * @returns {Boolean} true if the completion was accepted, in which case the completed query must be searched
+ */
+function acceptCompletion (e) {
+  if ((e.key !== 'Tab' && e.key !== 'ArrowRight') || e.shiftKey || searchCompletionGhost.hidden) return false
+  if (searchInput.selectionEnd !== searchInput.value.length) return false
+  e.preventDefault()
+  searchInput.value = searchCompletion
+  searchCompletion = undefined
+  renderCompletionGhost()
+  return true
+}
+
+function createCompletions (completions, refresh) {
+  const list = document.createElement('div')
+  list.classList.add('search-completions')
+  list.setAttribute('aria-label', 'Suggested searches')
+  completions.forEach((completion) => {
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.classList.add('search-completion')
+    button.innerText = completion
+    // keep the focus in the search input
+    button.addEventListener('mousedown', (e) => e.preventDefault())
+    button.addEventListener('click', () => {
+      searchInput.value = completion
+      searchInput.focus()
+      refresh()
     })
+    list.appendChild(button)
+  })
+  return list
+}
+
+// Suggests completions of the last word of the query from the titles and keywords, above the results
+function appendCompletions (parent, stores, query, refresh) {
+  const tries = stores.map((store) => store.completions).filter((trie) => trie)
+  const completions = tries.length > 0 ? findCompletions(tries, query) : []
+  searchCompletion = completions[0]
+  renderCompletionGhost()
+  if (completions.length > 0) parent.appendChild(createCompletions(completions, refresh))
+}
+
+function setActiveOption (option) {
+  getSearchResultOptions().forEach((it) => it.setAttribute('aria-selected', String(it === option)))
+  if (option) {
+    searchInput.setAttribute('aria-activedescendant', option.id)
+    option.scrollIntoView({ block: 'nearest' })
+  } else {
+    searchInput.removeAttribute('aria-activedescendant')
   }
-  return result
 }
 
-function search (index, documents, queryString) {
-  // execute an exact match search
-  let query
-  let result = filter(
-    index.query(function (lunrQuery) {
-      const parser = new globalThis.lunr.QueryParser(queryString, lunrQuery)
-      parser.parse()
-      query = lunrQuery
-    }),
-    documents
-  )
-  if (result.length > 0) {
-    return result
-  }
-  // no result, use a begins with search
-  result = filter(
-    index.query(function (lunrQuery) {
-      lunrQuery.clauses = query.clauses.map((clause) => {
-        if (clause.presence !== globalThis.lunr.Query.presence.PROHIBITED) {
-          clause.term = clause.term + '*'
-          clause.wildcard = globalThis.lunr.Query.wildcard.TRAILING
-          clause.usePipeline = false
-        }
-        return clause
-      })
-    }),
-    documents
-  )
-  if (result.length > 0) {
-    return result
-  }
-  // no result, use a contains search
-  result = filter(
-    index.query(function (lunrQuery) {
-      lunrQuery.clauses = query.clauses.map((clause) => {
-        if (clause.presence !== globalThis.lunr.Query.presence.PROHIBITED) {
-          clause.term = '*' + clause.term + '*'
-          clause.wildcard = globalThis.lunr.Query.wildcard.LEADING | globalThis.lunr.Query.wildcard.TRAILING
-          clause.usePipeline = false
-        }
-        return clause
-      })
+/**
+ * Moves the active option with the arrow keys (and Home/End once an option is active) and opens it with Enter.
+ * Without an active option, Enter opens the search page, if enabled.
+ * Focus stays on the search input; the active option is referenced by aria-activedescendant.
+ * @param {KeyboardEvent} e
+ * @returns {Boolean} true if the key was handled, in which case it must not trigger a search
+ */
+function handleNavigationKey (e) {
+  if (e.key === 'Escape' || e.key === 'Esc') {
+    clearSearchResults(true)
+    return true
+  }
+  const options = getSearchResultOptions()
+  const activeId = searchInput.getAttribute('aria-activedescendant')
+  const activeIndex = options.findIndex((option) => option.id === activeId)
+  if (e.key === 'Enter' && activeIndex < 0) {
+    // without an active result, Enter shows all the results on the search page
+    const query = searchInput.value.trim()
+    if (!config.searchPage || !query) return false
+    e.preventDefault()
+    openSearchPage(query)
+    return true
+  }
+  if (options.length === 0) return false
+  let nextIndex
+  switch (e.key) {
+    case 'ArrowDown':
+      nextIndex = activeIndex < options.length - 1 ? activeIndex + 1 : 0
+      break
+    case 'ArrowUp':
+      nextIndex = activeIndex > 0 ? activeIndex - 1 : options.length - 1
+      break
+    case 'Home':
+    case 'End':
+      // otherwise, let these keys move the caret in the search input
+      if (activeIndex < 0) return false
+      nextIndex = e.key === 'Home' ? 0 : options.length - 1
+      break
+    case 'Enter':
+      e.preventDefault()
+      options[activeIndex].querySelector('a').click()
+      return true
+    default:
+      return false
+  }
+  e.preventDefault()
+  setActiveOption(options[nextIndex])
+  return true
+}
+
+// Handles the navigation keys right away and debounces the search triggered by any other key
+function createSearchInputKeydownListener (searchFn) {
+  const debouncedSearch = debounce(searchFn, 200)
+  return (e) => {
+    if (acceptCompletion(e) || !handleNavigationKey(e)) debouncedSearch(e)
+  }
+}
+
+// Returns whether a result matches the facet filter, if any
+function createFacetFilter (documents) {
+  const facetFilter = facetFilterInput && facetFilterInput.checked && facetFilterInput.dataset.facetFilter
+  if (!facetFilter) return () => true
+  const [field, value] = facetFilter.split(':')
+  return (item) => {
+    const doc = documents[item.ref.split('-')[0]]
+    return field in doc && doc[field] === value
+  }
+}
+
+function search (index, documents, queryString, accept = () => true) {
+  const facetFilter = createFacetFilter(documents)
+  return queryIndex(globalThis.lunr, index, queryString, (item) => facetFilter(item) && accept(item))
+}
+
+/**
+ * Searches an index, restricted to the documents that have a section title close to the query, if any.
+ * The results come from the pre-built index, which holds the full text of the pages whatever the storage mode.
+ * @param {lunr.Index} index
+ * @param {LevenshteinTrieUser} trie - The trie of the section titles of the index
+ * @param {Object} store - The store of the index
+ * @param {String} text - The query
+ * @returns {Object[]} The Lunr results
+ */
+function searchWithTrie (index, trie, store, text) {
+  return search(index, store.documents, text, createTrieFilter(trie, text))
+}
+
+// Returns whether a result belongs to a document that has a section title close to the query, if there's any
+function createTrieFilter (trie, text) {
+  const maxLevenshteinDistance = 3
+  const trieResults = trie.searchWithLevenshteinWithData(text.toLowerCase(), maxLevenshteinDistance)
+  // Extract unique document IDs from Trie results
+  const trieDocIds = new Set()
+  trieResults.forEach((r) => r.data.forEach((d) => trieDocIds.add(String(d))))
+  return trieDocIds.size === 0 ? () => true : inDocuments(trieDocIds)
+}
+
+/**
+ * Searches several indexes like a single index, so the fallback searches only run if no index has an exact hit.
+ * If the query has no result in any index and contains spaces, it's searched again with underscores.
+ * @param {Object[]} indexes - The indexes to search, with their store and, optionally, the trie of their titles
+ * @param {String} query
+ * @returns {Object[]} The results of each index filtered by version, with the store of the index
+ */
+function searchIndexes (indexes, query) {
+  const lunr = globalThis.lunr
+  const results = queryIndexes(
+    lunr,
+    indexes.map(({ index, trie, store }) => {
+      const facetFilter = createFacetFilter(store.documents)
+      const trieFilter = trie ? createTrieFilter(trie, query) : () => true
+      return { index, accept: (item) => facetFilter(item) && trieFilter(item) }
     }),
-    documents
+    query
   )
-  return result
+  if (results.every((result) => result.length === 0) && /\s/.test(query)) {
+    const underscoreQuery = query.replace(/\s/g, '_')
+    const targets = indexes.map(({ index, store }) => ({ index, accept: createFacetFilter(store.documents) }))
+    queryIndexes(lunr, targets, underscoreQuery).forEach((result, idx) => (results[idx] = result))
+  }
+  return indexes.map(({ store }, idx) => ({
+    store,
+    result: filterByVersion(results[idx], store.documents, store.components),
+  }))
 }
 
-function searchIndex (index, trie, store, text) {
+function searchIndex (index, trie, store, text, refresh) {
   clearSearchResults(false)
   if (text.trim() === '') {
     return
   }
-  const maxLevenshteinDistance = 3
-  const trieResults = trie
-    .searchWithLevenshteinWithData(text.toLowerCase(), maxLevenshteinDistance)
-  let result
-  const recheck = /\s/.test(text)
-  if (!trieResults) {
-    result = search(index, store.documents, text)
-    if (recheck) {
-      result = search(index, store.documents, text.replace(/\s/g, '_'))
-    }
-  } else {
-    // Extract unique document IDs from Trie results
-    const trieDocIds = new Set()
-    trieResults.forEach((r) => r.data.forEach((d) => trieDocIds.add(d)))
-
-    let lunrResults = []
-    if (trieDocIds.size > 0) {
-      // Filter documents for Lunr search
-      const filteredDocuments = []
-      trieDocIds.forEach((id) => {
-        filteredDocuments.push(store.documents[id])
-      })
-      if (filteredDocuments.length > 0) {
-        // Rebuild a temporary index only with the filtered documents
-        const tempLunrIndex = globalThis.lunr(function () {
-          this.ref('id')
-          this.field('title', { boost: 10 })
-          this.field('name')
-          this.field('text')
-          this.field('component')
-          this.field('keyword', { boost: 5 })
-          filteredDocuments.forEach((doc) => this.add(doc))
-        })
-        lunrResults = search(tempLunrIndex, filteredDocuments, text)
-        if (recheck) {
-          result = search(index, store.documents, text.replace(/\s/g, '_'))
-        }
-      } else {
-        lunrResults = search(index, store.documents, text)
-        if (recheck) {
-          result = search(index, store.documents, text.replace(/\s/g, '_'))
-        }
-      }
-    } else {
-      lunrResults = search(index, store.documents, text)
-      if (recheck) {
-        result = search(index, store.documents, text.replace(/\s/g, '_'))
-      }
-    }
-    result = lunrResults
+  let result = searchWithTrie(index, trie, store, text)
+  result = filterByVersion(result, store.documents, store.components)
+  appendCompletions(searchResultContainer, [store], text, refresh)
+  const versionScopeSelector = createVersionScope(store.components, refresh)
+  if (versionScopeSelector) searchResultContainer.appendChild(versionScopeSelector)
+  if (store.facets && store.facets.length > 0) {
+    const facetChips = createFacetChips(store.facets, countFacetValues(result, store.documents), refresh)
+    if (facetChips) searchResultContainer.appendChild(facetChips)
+    result = filterByFacets(result, store.documents)
   }
-  const searchResultDataset = document.createElement('div')
-  searchResultDataset.classList.add('search-result-dataset')
-  searchResultContainer.appendChild(searchResultDataset)
+  appendSearchSuggestions(searchResultContainer, [store], text, result.length, refresh)
   if (result.length > 0) {
-    createSearchResult(result, store, searchResultDataset)
+    const listbox = createSearchResultListbox()
+    searchResultContainer.appendChild(listbox)
+    createSearchResult(result.map((item) => ({ item, store })), createSearchResultDataset(listbox))
   } else {
-    searchResultDataset.appendChild(createNoResult(text))
+    createSearchResultDataset(searchResultContainer).appendChild(createNoResult(text))
+  }
+  updateSearchResultState(result.length)
+}
+
+/**
+ * Finds corrections for the query in the vocabularies of the loaded indexes.
+ * @param {Array<Object>} stores - The stores of the loaded indexes
+ * @param {String} query
+ * @returns {String[]} The corrected queries, if any
+ */
+function findSuggestions (stores, query) {
+  const vocabularies = stores.map((store) => store.vocabulary).filter((vocabulary) => vocabulary)
+  return vocabularies.length > 0 ? findCorrections(vocabularies, query) : []
+}
+
+function createSearchResultsPageItem ({ item, store }) {
+  const [docId, titleId] = item.ref.split('-')
+  const doc = store.documents[docId]
+  const sectionTitle = titleId && doc.titles.find((title) => String(title.id) === titleId)
+  const highlightingResult = highlightHit(item.matchData.metadata, sectionTitle, doc, snippetLength * 3)
+  const resultItem = document.createElement('li')
+  resultItem.classList.add('search-results-page-item')
+  if (highlightingResult.codeHit) resultItem.classList.add('search-result-code-hit')
+  const link = document.createElement('a')
+  link.classList.add('search-results-page-item-title')
+  link.href = siteRootPath + doc.url + (sectionTitle ? '#' + sectionTitle.hash : '')
+  highlightingResult.pageTitleNodes.forEach((node) => createHighlightedText(node, link))
+  if (highlightingResult.sectionTitleNodes.length > 0) {
+    link.appendChild(document.createTextNode(' › '))
+    highlightingResult.sectionTitleNodes.forEach((node) => createHighlightedText(node, link))
+  }
+  resultItem.appendChild(link)
+  const componentVersion = store.componentVersions[`${doc.component}/${doc.version}`]
+  if (componentVersion) {
+    const context = document.createElement('div')
+    context.classList.add('search-results-page-item-context')
+    const { title, displayVersion } = componentVersion
+    context.innerText = `${title}${doc.version && displayVersion ? ` ${displayVersion}` : ''}`
+    resultItem.appendChild(context)
+  }
+  const snippet = document.createElement('p')
+  snippet.classList.add('search-results-page-item-snippet')
+  appendSnippet(highlightingResult, snippet)
+  resultItem.appendChild(snippet)
+  return resultItem
+}
+
+function createSearchResultsPagination (query, pageNumber, pageCount) {
+  const pagination = document.createElement('nav')
+  pagination.classList.add('search-results-page-pagination')
+  pagination.setAttribute('aria-label', 'Search results pages')
+  const createPageLink = (label, targetPageNumber) => {
+    const link = document.createElement('a')
+    link.href = getSearchPageUrl(query, targetPageNumber)
+    link.innerText = label
+    link.addEventListener('click', (e) => {
+      e.preventDefault()
+      openSearchPage(query, targetPageNumber)
+      searchResultsPage.scrollIntoView()
+    })
+    return link
+  }
+  if (pageNumber > 1) pagination.appendChild(createPageLink('Previous', pageNumber - 1))
+  const current = document.createElement('span')
+  current.classList.add('search-results-page-current')
+  current.setAttribute('aria-current', 'page')
+  current.innerText = `Page ${pageNumber} of ${pageCount}`
+  pagination.appendChild(current)
+  if (pageNumber < pageCount) pagination.appendChild(createPageLink('Next', pageNumber + 1))
+  return pagination
+}
+
+/**
+ * Renders the results of the query in the URL on the search page.
+ * Unlike the dropdown, the results of all the indexes are merged, paged and shown with larger snippets.
+ * @param {Array<Object>} indexes - The loaded indexes, each with an index, a store and a trie
+ */
+function showSearchResultsPage (indexes) {
+  const params = new URLSearchParams(globalThis.location.search)
+  const query = (params.get('q') || '').trim()
+  searchResultsPage.innerHTML = ''
+  const summary = document.createElement('p')
+  summary.classList.add('search-results-page-summary')
+  summary.setAttribute('role', 'status')
+  searchResultsPage.appendChild(summary)
+  if (!query) {
+    summary.innerText = 'Enter a search query in the search box.'
+    return
+  }
+  let results
+  const facets = new Set()
+  const facetCounts = {}
+  try {
+    // the results of all the indexes are ranked together
+    results = mergeResults(
+      // unlike the dropdown, the search page doesn't restrict the results to the pages with a title close to the query
+      searchIndexes(indexes.map(({ index, store }) => ({ index, store })), query).map(({ store, result }) => {
+        for (const facet of store.facets || []) facets.add(facet)
+        countFacetValues(result, store.documents, facetCounts)
+        return { store, result: filterByFacets(result, store.documents) }
+      })
+    )
+  } catch (err) {
+    if (!(err instanceof globalThis.lunr.QueryParseError)) throw err
+    summary.innerText = `Invalid search query: ${query}`
+    return
   }
+  summary.innerText = `${results.length} result${results.length === 1 ? '' : 's'} for "${query}"`
+  const stores = indexes.map(({ store }) => store)
+  const suggestions = results.length < SUGGESTION_THRESHOLD ? findSuggestions(stores, query) : []
+  if (suggestions.length > 0) {
+    const didYouMean = createSuggestions(
+      suggestions,
+      (suggestion) => {
+        searchInput.value = suggestion
+        openSearchPage(suggestion)
+      },
+      (suggestion) => getSearchPageUrl(suggestion)
+    )
+    didYouMean.className = 'search-results-page-suggestion'
+    searchResultsPage.appendChild(didYouMean)
+  }
+  const refresh = () => {
+    // a different scope or facet selection changes the number of pages, so go back to the first one
+    globalThis.history.replaceState(null, '', getSearchPageUrl(query))
+    renderSearchResultsPage()
+  }
+  const versionScopeSelector = createVersionScope(indexes.length > 0 ? indexes[0].store.components : undefined, refresh)
+  if (versionScopeSelector) searchResultsPage.appendChild(versionScopeSelector)
+  if (facets.size > 0) {
+    const facetChips = createFacetChips([...facets], facetCounts, refresh)
+    if (facetChips) searchResultsPage.appendChild(facetChips)
+  }
+  if (results.length === 0) return
+  const pageCount = Math.ceil(results.length / SEARCH_PAGE_SIZE)
+  const pageNumber = Math.min(Math.max(parseInt(params.get('page'), 10) || 1, 1), pageCount)
+  const list = document.createElement('ol')
+  list.classList.add('search-results-page-list')
+  list.start = (pageNumber - 1) * SEARCH_PAGE_SIZE + 1
+  results
+    .slice((pageNumber - 1) * SEARCH_PAGE_SIZE, pageNumber * SEARCH_PAGE_SIZE)
+    .forEach((result) => list.appendChild(createSearchResultsPageItem(result)))
+  searchResultsPage.appendChild(list)
+  if (pageCount > 1) searchResultsPage.appendChild(createSearchResultsPagination(query, pageNumber, pageCount))
+}
+
+// Called once the indexes are loaded on the search page
+function initSearchResultsPage (getIndexes) {
+  renderSearchResultsPage = () => {
+    const params = new URLSearchParams(globalThis.location.search)
+    searchInput.value = params.get('q') || ''
+    showSearchResultsPage(getIndexes())
+  }
+  globalThis.addEventListener('popstate', () => {
+    const params = new URLSearchParams(globalThis.location.search)
+    pageComponent = params.get('component') || undefined
+    versionScope = params.get('version') || ALL_VERSIONS
+    renderSearchResultsPage()
+  })
+  renderSearchResultsPage()
 }
 
 function confineEvent (e) {
@@ -378,7 +975,7 @@ function executeSearch (index) {
   const query = searchInput.value
   try {
     if (!query) return clearSearchResults()
-    searchIndex(index.index, index.trie, index.store, query)
+    searchIndex(index.index, index.trie, index.store, query, () => executeSearch(index))
   } catch (err) {
     if (err instanceof globalThis.lunr.QueryParseError) {
       if (debug) {
@@ -422,7 +1019,48 @@ function base64ToBytesArr (str) {
   return new Uint8Array(result)
 }
 
+// A binary index file contains the deflated JSON of the index, the store and the trie
+async function fetchBinaryIndex (url) {
+  const res = await fetch(url)
+  if (!res.ok) throw new Error(`Failed to fetch search index: ${url} (${res.status})`)
+  return globalThis.pako.inflate(new Uint8Array(await res.arrayBuffer()), { to: 'string' })
+}
+
+// The trie is either in a separate JSON document (base64 encoding) or embedded in the index data (binary encoding)
+function loadIndexData (lunr, lunrJSON, trieJSON) {
+  const lunrdata = JSON.parse(lunrJSON)
+  // the search pipeline of the index refers to the synonyms filter by its label
+  if (lunrdata.store.synonyms) registerSynonymsFilter(lunr, lunrdata.store.synonyms)
+  const { tokenizer, languages } = lunrdata.store
+  if (tokenizer) registerTokenizerFilters(lunr, tokenizer, lunrdata.index.pipeline, languages)
+  const idx = {
+    index: lunr.Index.load(lunrdata.index),
+    store: lunrdata.store,
+    trie: new LevenshteinTrieUser(),
+  }
+  idx.trie.load(trieJSON ? JSON.parse(trieJSON) : lunrdata.trie)
+  // the vocabulary used to suggest corrections and the completions are stored as serialized tries
+  for (const name of ['vocabulary', 'completions']) {
+    if (!lunrdata.store[name]) continue
+    const trie = new LevenshteinTrieUser()
+    trie.load(lunrdata.store[name])
+    idx.store[name] = trie
+  }
+  return idx
+}
+
 export function initSearch (lunr, data, trieData) {
+  startSearch(lunr, async () => ({
+    lunrJSON: globalThis.pako.inflate(base64ToBytesArr(data), { to: 'string' }),
+    trieJSON: globalThis.pako.inflate(base64ToBytesArr(trieData), { to: 'string' }),
+  }))
+}
+
+export function loadIndex (lunr, url) {
+  startSearch(lunr, async () => ({ lunrJSON: await fetchBinaryIndex(url) }))
+}
+
+function startSearch (lunr, readIndexData) {
   const start = performance.now()
   let loadedIndex = null
   let loadingPromise = null
@@ -432,26 +1070,17 @@ export function initSearch (lunr, data, trieData) {
     if (!loadingPromise) {
       loadingPromise = new Promise((resolve) => {
         const doLoad = () => {
-          try {
-            const dataBytes = base64ToBytesArr(data)
-            const lunrJSON = window.pako.inflate(dataBytes, { to: 'string' })
-            const lunrdata = JSON.parse(lunrJSON)
-            const trieBytes = base64ToBytesArr(trieData)
-            const trieDataJSON = window.pako.inflate(trieBytes, { to: 'string' })
-            const idx = {
-              index: lunr.Index.load(lunrdata.index),
-              store: lunrdata.store,
-              trie: new LevenshteinTrieUser(),
-            }
-            idx.trie.load(JSON.parse(trieDataJSON))
-            loadedIndex = idx
-            // announce load completion
-            searchInput.dispatchEvent(new CustomEvent('loadedindex', { detail: { took: performance.now() - start } }))
-            resolve(idx)
-          } catch (e) {
-            console.error('Failed to initialize search index', e)
-            resolve(null)
-          }
+          readIndexData()
+            .then(({ lunrJSON, trieJSON }) => {
+              loadedIndex = loadIndexData(lunr, lunrJSON, trieJSON)
+              // announce load completion
+              searchInput.dispatchEvent(new CustomEvent('loadedindex', { detail: { took: performance.now() - start } }))
+              resolve(loadedIndex)
+            })
+            .catch((e) => {
+              console.error('Failed to initialize search index', e)
+              resolve(null)
+            })
         }
         if ('requestIdleCallback' in globalThis) {
           globalThis.requestIdleCallback(doLoad, { timeout: 1000 })
@@ -472,11 +1101,10 @@ export function initSearch (lunr, data, trieData) {
 
   searchInput.addEventListener(
     'keydown',
-    debounce(async function (e) {
-      if (e.key === 'Escape' || e.key === 'Esc') return clearSearchResults(true)
+    createSearchInputKeydownListener(async function () {
       const idx = await ensureLoaded()
       if (idx) executeSearch(idx)
-    }, 200)
+    })
   )
   searchInput.addEventListener('click', confineEvent)
   searchResultContainer.addEventListener('click', confineEvent)
@@ -489,6 +1117,8 @@ export function initSearch (lunr, data, trieData) {
     facetFilterInput.addEventListener('focus', preloadOnce, { once: true })
   }
   document.documentElement.addEventListener('click', clearSearchResults)
+  // the search page needs the index right away
+  if (searchResultsPage) ensureLoaded().then((idx) => idx && initSearchResultsPage(() => [idx]))
 }
 
 // Modular loading with IndexedDB cache of expanded indexes
@@ -531,19 +1161,35 @@ async function idbSet (record) {
 }
 
 const loadedModules = []
+// number of modules that are still loading in the background
+let pendingModuleCount = 0
 let siteRootPrefix = ''
 
+// The search page keeps the component and version of the page the search was started from, but not its module
+function getPageScope () {
+  if (searchResultsPage) {
+    return { component: pageComponent, version: versionScope === ALL_VERSIONS ? undefined : versionScope }
+  }
+  return { component: config.pageComponent, version: config.pageVersion, module: config.pageModule }
+}
+
+function resolveUrl (url) {
+  return url && url.startsWith('/') ? siteRootPrefix + url : url
+}
+
 async function loadModuleEntry (lunr, entry) {
   const cacheKey = entry.id + ':' + entry.hash
   const cached = await idbGet(cacheKey)
   let lunrJSON
   let trieJSON
-  if (cached && cached.lunrJSON && cached.trieJSON) {
+  if (cached && cached.lunrJSON) {
     lunrJSON = cached.lunrJSON
     trieJSON = cached.trieJSON
+  } else if (entry.url.endsWith('.bin')) {
+    lunrJSON = await fetchBinaryIndex(resolveUrl(entry.url))
+    idbSet({ key: cacheKey, id: entry.id, hash: entry.hash, lunrJSON })
   } else {
-    const fetchUrl = entry.url && entry.url.startsWith('/') ? siteRootPrefix + entry.url : entry.url
-    const res = await fetch(fetchUrl)
+    const res = await fetch(resolveUrl(entry.url))
     const json = await res.json()
     const dataBytes = base64ToBytesArr(json.lunrData)
     lunrJSON = globalThis.pako.inflate(dataBytes, { to: 'string' })
@@ -551,75 +1197,105 @@ async function loadModuleEntry (lunr, entry) {
     trieJSON = globalThis.pako.inflate(trieBytes, { to: 'string' })
     idbSet({ key: cacheKey, id: entry.id, hash: entry.hash, lunrJSON, trieJSON })
   }
-  const lunrdata = JSON.parse(lunrJSON)
-  const idx = {
-    index: lunr.Index.load(lunrdata.index),
-    store: lunrdata.store,
-    trie: new LevenshteinTrieUser(),
-  }
-  idx.trie.load(JSON.parse(trieJSON))
+  const idx = loadIndexData(lunr, lunrJSON, trieJSON)
   loadedModules.push({ id: entry.id, info: entry, index: idx.index, store: idx.store, trie: idx.trie })
   return idx
 }
 
+function getComponentVersionKey ({ item, store }) {
+  const doc = store.documents[item.ref.split('-')[0]]
+  return `${doc.component}/${doc.version}`
+}
+
+function createLoadingIndicator (count) {
+  const indicator = document.createElement('div')
+  indicator.classList.add('search-result-loading')
+  indicator.setAttribute('role', 'status')
+  indicator.textContent = `Still loading ${count} module${count === 1 ? '' : 's'}...`
+  return indicator
+}
+
+// Counts down the modules that are still loading, and searches again once they're all loaded
+function updateLoadingIndicator () {
+  const indicator = searchResultContainer.querySelector('.search-result-loading')
+  if (!indicator) return
+  if (pendingModuleCount > 0) {
+    indicator.replaceWith(createLoadingIndicator(pendingModuleCount))
+  } else {
+    multiExecuteSearch()
+  }
+}
+
 function multiExecuteSearch () {
   const query = searchInput.value
   if (!query) return clearSearchResults()
   clearSearchResults(false)
-  let any = false
   const frag = document.createDocumentFragment()
-  for (const mod of loadedModules) {
-    let result = search(mod.index, mod.store.documents, query)
-    if (result.length === 0 && /\s/.test(query)) {
-      result = search(mod.index, mod.store.documents, query.replace(/\s/g, '_'))
-    }
-    const dataset = document.createElement('div')
-    dataset.classList.add('search-result-dataset')
-    if (result.length > 0) {
-      any = true
-      createSearchResult(result, mod.store, dataset)
-    }
-    frag.appendChild(dataset)
+  const facets = new Set()
+  const facetCounts = {}
+  const moduleResults = searchIndexes(loadedModules, query).map(({ store, result }) => {
+    for (const facet of store.facets || []) facets.add(facet)
+    countFacetValues(result, store.documents, facetCounts)
+    return { store, result: filterByFacets(result, store.documents) }
+  })
+  // rank the results of all the modules together, then group them by component version
+  const results = groupResults(mergeResults(moduleResults), getComponentVersionKey)
+  const stores = loadedModules.map(({ store }) => store)
+  appendCompletions(frag, stores, query, multiExecuteSearch)
+  const components = loadedModules.length > 0 ? loadedModules[0].store.components : undefined
+  const versionScopeSelector = createVersionScope(components, multiExecuteSearch)
+  if (versionScopeSelector) frag.appendChild(versionScopeSelector)
+  if (facets.size > 0) {
+    const facetChips = createFacetChips([...facets], facetCounts, multiExecuteSearch)
+    if (facetChips) frag.appendChild(facetChips)
   }
-  if (!any) {
-    const dataset = document.createElement('div')
-    dataset.classList.add('search-result-dataset')
-    dataset.appendChild(createNoResult(query))
-    frag.appendChild(dataset)
+  appendSearchSuggestions(frag, stores, query, results.length, multiExecuteSearch)
+  if (pendingModuleCount > 0) frag.appendChild(createLoadingIndicator(pendingModuleCount))
+  if (results.length > 0) {
+    const listbox = createSearchResultListbox()
+    createSearchResult(results, createSearchResultDataset(listbox))
+    frag.appendChild(listbox)
+  } else {
+    createSearchResultDataset(frag).appendChild(createNoResult(query))
   }
   searchResultContainer.appendChild(frag)
+  updateSearchResultState(results.length)
 }
 
 export async function bootstrap (lunr, manifest, siteRootPath) {
   const start = performance.now()
   try {
     siteRootPrefix = siteRootPath || ''
-    const first = manifest.modules[0]
-    if (!first) return
+    // load the module of the current page first, then the modules closest to it
+    const [first, ...rest] = prioritizeModules(manifest.modules, getPageScope())
+    if (!first) {
+      // without split index files, load the binary index file listed in the manifest, if any
+      if (manifest.index) loadIndex(lunr, resolveUrl(manifest.index.url))
+      return
+    }
     await loadModuleEntry(lunr, first)
     enableSearchInput(true)
     searchInput.dispatchEvent(new CustomEvent('loadedindex', { detail: { took: performance.now() - start } }))
 
-    const startBackgroundOnce = (() => {
-      let started = false
-      const rest = manifest.modules.slice(1)
-      const loadNext = async (i) => {
-        if (i >= rest.length) return
-        try { await loadModuleEntry(lunr, rest[i]) } catch (e) {}
-        setTimeout(() => loadNext(i + 1), 50)
+    let loadingRest
+    const startBackgroundOnce = () => {
+      if (loadingRest) return loadingRest
+      pendingModuleCount = rest.length
+      const loadNext = async (entry) => {
+        try { await loadModuleEntry(lunr, entry) } catch (e) {}
+        pendingModuleCount--
+        updateLoadingIndicator()
+        await new Promise((resolve) => setTimeout(resolve, 50))
       }
-      return () => {
-        if (started) return
-        started = true
-        setTimeout(() => loadNext(0), 0)
-      }
-    })()
+      return (loadingRest = new Promise((resolve) => setTimeout(resolve, 0)).then(() =>
+        loadModules(rest, loadConcurrency, loadNext)
+      ))
+    }
 
-    searchInput.addEventListener('keydown', debounce(function (e) {
-      if (e.key === 'Escape' || e.key === 'Esc') return clearSearchResults(true)
+    searchInput.addEventListener('keydown', createSearchInputKeydownListener(function () {
       startBackgroundOnce()
       multiExecuteSearch()
-    }, 200))
+    }))
     searchInput.addEventListener('focus', startBackgroundOnce, { once: true })
     searchInput.addEventListener('click', confineEvent)
     searchResultContainer.addEventListener('click', confineEvent)
@@ -629,11 +1305,19 @@ export async function bootstrap (lunr, manifest, siteRootPath) {
       facetFilterInput.addEventListener('focus', startBackgroundOnce, { once: true })
     }
     document.documentElement.addEventListener('click', clearSearchResults)
+    // the search page shows the results of all the modules, so wait for the remaining modules to load
+    if (searchResultsPage) startBackgroundOnce().then(() => initSearchResultsPage(() => loadedModules))
   } catch (e) {
-    console.error('Failed to bootstrap modular search', e)
+    // fall back to the binary index file of the whole site, if any
+    if (manifest.index && !loadedModules.length) {
+      console.error('Failed to load the split search index, loading the index of the whole site instead', e)
+      return loadIndex(lunr, resolveUrl(manifest.index.url))
+    }
     enableSearchInput(false)
+    throw e
   }
 }
 
 // disable the search input until the index is loaded
 enableSearchInput(false)
+if (searchResultsPage) searchResultsPage.innerText = 'Loading search results...'
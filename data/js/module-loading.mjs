@@ -0,0 +1,48 @@
+'use strict'
+
+// the properties of the current page that select the modules to load first, from the most to the least relevant
+const SCOPE_KEY_WEIGHTS = { component: 4, version: 2, module: 1 }
+
+/**
+ * Orders the modules of the manifest so the modules closest to the current page are loaded first.
+ *
+ * Each module lists the components, versions and modules of its pages in scopes.
+ * A module that holds pages of the current component ranks higher if it also holds the current version,
+ * then if it also holds the current module. The other modules keep the order of the manifest.
+ * @param {Object[]} modules - The entries of the manifest
+ * @param {Object} page - The component, version and module of the current page
+ * @returns {Object[]} The modules, the first to load first
+ */
+export function prioritizeModules (modules, page) {
+  if (!page.component) return modules
+  const ranks = new Map(modules.map((entry) => [entry, rankModule(entry, page)]))
+  return [...modules].sort((a, b) => ranks.get(b) - ranks.get(a))
+}
+
+// a manifest without scopes describes the scope of each module in its entry
+function rankModule (entry, page) {
+  return (entry.scopes || [entry]).reduce((rank, scope) => Math.max(rank, rankScope(scope, page)), 0)
+}
+
+// a scope without a property (e.g., the version when the index is split by module) matches any value
+function rankScope (scope, page) {
+  if (scope.component !== page.component) return 0
+  return Object.entries(SCOPE_KEY_WEIGHTS).reduce((rank, [key, weight]) => {
+    return scope[key] == null || scope[key] === page[key] ? rank + weight : rank
+  }, 0)
+}
+
+/**
+ * Loads the modules in order, loading up to the given number of modules at a time.
+ * @param {Object[]} modules - The modules to load
+ * @param {number} concurrency - The maximum number of modules to load at a time
+ * @param {Function} load - Loads a module; returns a Promise that settles once the module is loaded
+ * @returns {Promise} Settles once all the modules are loaded
+ */
+export async function loadModules (modules, concurrency, load) {
+  let next = 0
+  const loadNext = async () => {
+    while (next < modules.length) await load(modules[next++])
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, modules.length) }, loadNext))
+}
@@ -0,0 +1,64 @@
+'use strict'
+
+/**
+ * Runs a query against a Lunr index, falling back to a begins with search, then to a contains search,
+ * when the previous search returns no accepted result.
+ * @param {Object} lunr - The Lunr module
+ * @param {lunr.Index} index
+ * @param {String} queryString
+ * @param {Function} [accept] - Returns whether to keep a result, e.g. to restrict the search to some documents
+ * @returns {Object[]} The accepted Lunr results
+ */
+export function queryIndex (lunr, index, queryString, accept) {
+  return queryIndexes(lunr, [{ index, accept }], queryString)[0]
+}
+
+/**
+ * Runs a query against several Lunr indexes (e.g., the indexes of the modules of a split index) like a single index.
+ * The begins with search, then the contains search, only run when the previous search returns no accepted result
+ * in any of the indexes, so a fuzzy hit in one index doesn't show up next to the exact hits of the other ones.
+ * @param {Object} lunr - The Lunr module
+ * @param {Object[]} targets - The indexes to search
+ * @param {lunr.Index} targets.index
+ * @param {Function} [targets.accept] - Returns whether to keep a result of that index
+ * @param {String} queryString
+ * @returns {Object[][]} The accepted Lunr results of each index
+ */
+export function queryIndexes (lunr, targets, queryString) {
+  const queryAll = (buildQuery) =>
+    targets.map(({ index, accept = () => true }, idx) => index.query((query) => buildQuery(query, idx)).filter(accept))
+  const hasResult = (results) => results.some((result) => result.length > 0)
+  // execute an exact match search
+  const clauses = []
+  let results = queryAll((query, idx) => {
+    new lunr.QueryParser(queryString, query).parse()
+    clauses[idx] = query.clauses
+  })
+  if (hasResult(results)) return results
+  // no result, use a begins with search
+  results = queryAll(wildcardQuery(lunr, clauses, (term) => term + '*', lunr.Query.wildcard.TRAILING))
+  if (hasResult(results)) return results
+  // no result, use a contains search
+  const wildcard = lunr.Query.wildcard.LEADING | lunr.Query.wildcard.TRAILING
+  return queryAll(wildcardQuery(lunr, clauses, (term) => '*' + term + '*', wildcard))
+}
+
+// Builds the query that adds the wildcard to each term of the parsed query of the index that isn't prohibited
+function wildcardQuery (lunr, clauses, wildcardTerm, wildcard) {
+  return (query, idx) => {
+    query.clauses = clauses[idx].map((clause) => {
+      if (clause.presence === lunr.Query.presence.PROHIBITED) return clause
+      return { ...clause, term: wildcardTerm(clause.term), wildcard, usePipeline: false }
+    })
+  }
+}
+
+/**
+ * Returns whether a result belongs to one of the given documents.
+ * The ref of a result is the id of its document, followed by the id of its section, if any.
+ * @param {Set<String>} docIds
+ * @returns {Function} The predicate
+ */
+export function inDocuments (docIds) {
+  return ({ ref }) => docIds.has(ref.split('-')[0])
+}
@@ -1,5 +1,8 @@
 'use strict'
 
+// the vocabulary of the index doesn't have shorter words, so these words are never misspelled
+const VOCABULARY_WORD_MIN_LENGTH = 3
+
 /**
  * Splitting the text by the given positions.
  * The text within the positions getting the type "mark", all other text gets the type "text".
@@ -101,203 +104,266 @@ export function findTermPosition (lunr, term, text, textLower) {
   return { start: index, length: end - index }
 }
 
+/**
+ * Finds the first line of code that contains one of the matched terms, to show it as the snippet of a code hit.
+ * @param {string} code - The content of the listings
+ * @param {string[]} terms - The matched terms of the index
+ * @returns {string|undefined} The line without its indentation, or undefined if no line contains a term
+ */
+export function findCodeLine (code, terms) {
+  const lowerTerms = terms.map((term) => String(term).toLowerCase())
+  for (const line of code.split('\n')) {
+    const lowerLine = line.toLowerCase()
+    if (lowerTerms.some((term) => lowerLine.includes(term))) return line.trim()
+  }
+}
+
+/**
+ * Finds corrections for the misspelled words of a query in the vocabulary of the index.
+ * A word is misspelled when it's not in any vocabulary; it's replaced by the closest words, the most frequent first.
+ * Words that use the query syntax (e.g., a wildcard or a field) and words too short to be in the vocabulary
+ * are left as is.
+ * @param {LevenshteinTrieUser[]} vocabularies - The tries of the words of the indexes, with the frequency of each word
+ * @param {string} query
+ * @param {number} [limit=3] Maximum number of corrections.
+ * @returns {string[]} The corrected queries, if any
+ */
+export function findCorrections (vocabularies, query, limit = 3) {
+  const words = query.toLowerCase().trim().split(/\s+/).filter((word) => word)
+  const candidatesByWord = words.map((word) => {
+    if (word.length < VOCABULARY_WORD_MIN_LENGTH || !/^[\p{L}\p{N}]+$/u.test(word)) return []
+    const candidates = new Map()
+    for (const vocabulary of vocabularies) {
+      const maxDistance = word.length > 4 ? 2 : 1
+      for (const { word: candidate, data, distance } of vocabulary.searchWithLevenshteinWithData(word, maxDistance)) {
+        if (distance === 0) return []
+        const existing = candidates.get(candidate)
+        candidates.set(candidate, { distance, frequency: (existing ? existing.frequency : 0) + (data[0] || 0) })
+      }
+    }
+    return [...candidates]
+      .sort(([, a], [, b]) => a.distance - b.distance || b.frequency - a.frequency)
+      .slice(0, limit)
+      .map(([candidate]) => candidate)
+  })
+  // vary the first misspelled word and use the best correction of the other ones
+  const misspelledIdx = candidatesByWord.findIndex((candidates) => candidates.length > 0)
+  if (misspelledIdx < 0) return []
+  return candidatesByWord[misspelledIdx].map((correction) =>
+    words.map((word, idx) => (idx === misspelledIdx ? correction : candidatesByWord[idx][0] || word)).join(' ')
+  )
+}
+
+/**
+ * Finds the completions of the last word of a query in the titles and keywords of the index.
+ * The completions are ranked by the number of pages that contain them, then alphabetically.
+ * The last word isn't completed if it's too short or if it uses the query syntax (e.g., a wildcard or a field).
+ * @param {LevenshteinTrieUser[]} tries - The tries of the completions of the indexes, with the frequency of each term
+ * @param {string} query
+ * @param {number} [limit=5] Maximum number of completions.
+ * @returns {string[]} The completed queries, if any
+ */
+export function findCompletions (tries, query, limit = 5) {
+  const match = query.match(/(?:^|\s)([\p{L}\p{N}][\p{L}\p{N}_-]+)$/u)
+  if (!match) return []
+  const prefix = match[1].toLowerCase()
+  const head = query.slice(0, query.length - match[1].length)
+  const frequencies = new Map()
+  for (const trie of tries) {
+    for (const { word, data } of trie.searchWithPrefix(prefix)) {
+      if (word === prefix) continue
+      frequencies.set(word, (frequencies.get(word) || 0) + (data[0] || 0))
+    }
+  }
+  return [...frequencies]
+    .sort(([a, aFrequency], [b, bFrequency]) => bFrequency - aFrequency || a.localeCompare(b))
+    .slice(0, limit)
+    .map(([completion]) => head + completion)
+}
+
+// A node holds the label of the edge that leads to it, so a chain of nodes with a single child is a single node
 class TrieNode {
-  constructor () {
-    this.children = new Map()
+  constructor (label = '') {
+    this.label = label
+    this.children = new Map() // Keyed by the first character of the label of each child
     this.isEndOfWord = false
     this.data = [] // Store associated data (e.g., document IDs, URLs)
   }
 }
 
+function firstChar (label) {
+  return String.fromCodePoint(label.codePointAt(0))
+}
+
+// Length of the common prefix of two strings, without splitting a surrogate pair
+function commonPrefixLength (a, b) {
+  let length = 0
+  while (length < a.length && length < b.length && a[length] === b[length]) length++
+  if (length > 0 && length < a.length) {
+    const code = a.charCodeAt(length - 1)
+    if (code >= 0xd800 && code <= 0xdbff) length--
+  }
+  return length
+}
+
 export class LevenshteinTrieUser {
   constructor () {
     this.root = new TrieNode()
   }
 
   insert (word) {
+    this._insertNode(word).isEndOfWord = true
+  }
+
+  // Find or create the node of word, splitting the edge that diverges from it
+  _insertNode (word) {
     let node = this.root
-    for (const char of word) {
-      if (!node.children.has(char)) {
-        node.children.set(char, new TrieNode())
+    let rest = word
+    while (rest) {
+      const key = firstChar(rest)
+      const child = node.children.get(key)
+      if (!child) {
+        const leaf = new TrieNode(rest)
+        node.children.set(key, leaf)
+        return leaf
       }
-      node = node.children.get(char)
+      const length = commonPrefixLength(child.label, rest)
+      if (length < child.label.length) {
+        const branch = new TrieNode(child.label.slice(0, length))
+        child.label = child.label.slice(length)
+        branch.children.set(firstChar(child.label), child)
+        node.children.set(key, branch)
+        node = branch
+      } else {
+        node = child
+      }
+      rest = rest.slice(length)
     }
-    node.isEndOfWord = true
+    return node
   }
 
-  searchWithLevenshtein (word, maxDistance) {
+  // Find the words that start with prefix, as { word, data } objects
+  searchWithPrefix (prefix) {
     const results = []
-    this._searchRecursive(this.root, '', word, 0, maxDistance, results)
-    return results
-  }
-
-  _searchRecursive (node, currentWord, targetWord, currentIndex, maxDistance, results) {
-    if (currentIndex > targetWord.length && node.isEndOfWord) {
-      results.push(currentWord)
-      return
+    const collect = (node, word) => {
+      if (node.isEndOfWord) results.push({ word, data: node.data })
+      node.children.forEach((childNode) => collect(childNode, word + childNode.label))
     }
-    if (maxDistance < 0) {
-      return
-    }
-
-    if (node.isEndOfWord && this.levenshteinDistance(currentWord, targetWord) <= maxDistance) {
-      results.push(currentWord)
-    }
-
-    for (const [char, childNode] of node.children) {
-      let newDistance = maxDistance
-      if (currentIndex < targetWord.length) {
-        if (char === targetWord[currentIndex]) {
-          this._searchRecursive(childNode, currentWord + char, targetWord, currentIndex + 1, newDistance, results)
-        } else {
-          newDistance = maxDistance - 1 //substitution
-          this._searchRecursive(childNode, currentWord + char, targetWord, currentIndex + 1, newDistance, results)
-          this._searchRecursive(node, currentWord, targetWord, currentIndex + 1, newDistance, results) //insertion
-          this._searchRecursive(
-            childNode,
-            currentWord + char,
-            targetWord,
-            currentIndex,
-            newDistance,
-            results
-          ) // deletion
-        }
-      } else {
-        this._searchRecursive(childNode, currentWord + char, targetWord, currentIndex, newDistance - 1, results)
+    let node = this.root
+    let word = ''
+    let rest = prefix
+    while (rest) {
+      const childNode = node.children.get(firstChar(rest))
+      if (!childNode) return results
+      const length = commonPrefixLength(childNode.label, rest)
+      // the prefix ends in the label of this node, so all the words below it match
+      if (length === rest.length) {
+        collect(childNode, word + childNode.label)
+        return results
       }
+      if (length < childNode.label.length) return results
+      node = childNode
+      word += childNode.label
+      rest = rest.slice(length)
     }
+    collect(node, word)
+    return results
   }
 
-  levenshteinDistance (a, b) {
-    if (a.length === 0) return b.length
-    if (b.length === 0) return a.length
-
-    const matrix = []
+  // Find the words within maxDistance edits of word, closest first, as { word, distance } objects
+  searchWithLevenshtein (word, maxDistance) {
+    return this._searchRows(word, maxDistance).map(({ word, distance }) => ({ word, distance }))
+  }
 
-    // increment along the first column of each row
-    let i
-    for (i = 0; i <= b.length; i++) {
-      matrix[i] = [i]
+  // Walk the trie once, computing the row of the Levenshtein matrix of each character from the row of its parent.
+  // A node is only reached once, so each word is found at most once, and a subtree is skipped as soon as
+  // every cell of the row exceeds maxDistance, which bounds the cost by the number of nodes close to the word.
+  _searchRows (word, maxDistance) {
+    // compare characters, not UTF-16 code units, like the labels are split
+    const targetWord = [...word]
+    const results = []
+    const firstRow = []
+    for (let i = 0; i <= targetWord.length; i++) firstRow.push(i)
+    if (this.root.isEndOfWord && targetWord.length <= maxDistance) {
+      results.push({ word: '', data: this.root.data, distance: targetWord.length })
     }
-
-    // increment each column in the first row
-    let j
-    for (j = 0; j <= a.length; j++) {
-      matrix[0][j] = j
+    for (const childNode of this.root.children.values()) {
+      this._searchNode(childNode, '', targetWord, firstRow, maxDistance, results)
     }
+    return results.sort((a, b) => a.distance - b.distance)
+  }
 
-    // Fill in the rest of the matrix
-    for (i = 1; i <= b.length; i++) {
-      for (j = 1; j <= a.length; j++) {
-        if (b.charAt(i - 1) === a.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1]
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1, // substitution
-            Math.min(matrix[i][j - 1] + 1, // insertion
-              matrix[i - 1][j] + 1) // deletion
-          )
-        }
+  _searchNode (node, parentWord, targetWord, previousRow, maxDistance, results) {
+    const columns = targetWord.length + 1
+    let row = previousRow
+    for (const char of node.label) {
+      const nextRow = [row[0] + 1]
+      let minDistance = nextRow[0]
+      for (let i = 1; i < columns; i++) {
+        const distance = Math.min(
+          nextRow[i - 1] + 1, // insertion
+          row[i] + 1, // deletion
+          row[i - 1] + (targetWord[i - 1] === char ? 0 : 1) // substitution
+        )
+        nextRow.push(distance)
+        if (distance < minDistance) minDistance = distance
       }
+      if (minDistance > maxDistance) return
+      row = nextRow
+    }
+    const currentWord = parentWord + node.label
+    const distance = row[columns - 1]
+    if (node.isEndOfWord && distance <= maxDistance) results.push({ word: currentWord, data: node.data, distance })
+    for (const childNode of node.children.values()) {
+      this._searchNode(childNode, currentWord, targetWord, row, maxDistance, results)
     }
-
-    return matrix[b.length][a.length]
   }
 
-  // Save the Trie to a JSON string
+  // Save the Trie to a JSON string.
+  // The nodes are flattened in depth-first order as [label, number of children, data (or 0 if not a word)] triples.
   save () {
-    return JSON.stringify(this.root, (key, value) => {
-      if (value instanceof Map) {
-        return Array.from(value.entries()) // Convert Map to array of entries
-      }
-      return value
-    })
+    const nodes = []
+    const writeNode = (node) => {
+      nodes.push(node.label, node.children.size, node.isEndOfWord ? node.data : 0)
+      node.children.forEach((childNode) => writeNode(childNode))
+    }
+    writeNode(this.root)
+    return JSON.stringify(nodes)
   }
 
-  // Load the Trie from a JSON string
-  load (jsonString) {
-    this.root = jsonString
-    // this.root = JSON.parse(jsonString, (key, value) => {
-    //   if (Array.isArray(value)) {
-    //     return new Map(value) // Convert array of entries back to Map
-    //   }
-    //   return value
-    // })
+  // Load the Trie from the parsed JSON written by save
+  load (nodes) {
+    this._loadNodes(nodes)
   }
 
-  insertWithData (word, data) {
-    let node = this.root
-    for (const char of word) {
-      if (!node.children.has(char)) {
-        node.children.set(char, new TrieNode())
+  _loadNodes (nodes) {
+    let position = 0
+    const readNode = () => {
+      const node = new TrieNode(nodes[position])
+      const childCount = nodes[position + 1]
+      const data = nodes[position + 2]
+      position += 3
+      if (data !== 0) {
+        node.isEndOfWord = true
+        node.data = data
+      }
+      for (let i = 0; i < childCount; i++) {
+        const childNode = readNode()
+        node.children.set(firstChar(childNode.label), childNode)
       }
-      node = node.children.get(char)
+      return node
     }
+    this.root = readNode()
+  }
+
+  insertWithData (word, data) {
+    const node = this._insertNode(word)
     node.isEndOfWord = true
     node.data.push(data) // Store the associated data
   }
 
+  // Find the words within maxDistance edits of word, closest first, as { word, data, distance } objects
   searchWithLevenshteinWithData (word, maxDistance) {
-    const results = []
-    this._searchRecursiveWithData(this.root, '', word, 0, maxDistance, results)
-    return results
-  }
-
-  _searchRecursiveWithData (node, currentWord, targetWord, currentIndex, maxDistance, results) {
-    if (currentIndex > targetWord.length && node.isEndOfWord) {
-      results.push({ word: currentWord, data: node.data })
-      return
-    }
-    if (maxDistance < 0) {
-      return
-    }
-
-    if (node.isEndOfWord && this.levenshteinDistance(currentWord, targetWord) <= maxDistance) {
-      results.push({ word: currentWord, data: node.data })
-    }
-
-    for (const [char, childNode] of node.children) {
-      let newDistance = maxDistance
-      if (currentIndex < targetWord.length) {
-        if (char === targetWord[currentIndex]) {
-          this._searchRecursiveWithData(
-            childNode,
-            currentWord + char,
-            targetWord,
-            currentIndex + 1,
-            newDistance,
-            results
-          )
-        } else {
-          newDistance = maxDistance - 1 //substitution
-          this._searchRecursiveWithData(
-            childNode,
-            currentWord + char,
-            targetWord,
-            currentIndex + 1,
-            newDistance,
-            results
-          )
-          this._searchRecursiveWithData(
-            node,
-            currentWord,
-            targetWord,
-            currentIndex + 1,
-            newDistance,
-            results
-          ) //insertion
-          this._searchRecursiveWithData(
-            childNode,
-            currentWord + char,
-            targetWord,
-            currentIndex,
-            newDistance,
-            results
-          ) // deletion
-        }
-      } else {
-        this._searchRecursiveWithData(childNode, currentWord + char, targetWord, currentIndex, newDistance - 1, results)
-      }
-    }
+    return this._searchRows(word, maxDistance)
   }
 }
@@ -0,0 +1,75 @@
+/* eslint-env serviceworker */
+/* global PRECACHE */
+// The extension generates the service worker of the search (search-sw.js) from this script, prepending PRECACHE:
+// the version of the search index, the paths of the files to precache and the keys of the module indexes in use.
+
+const CACHE_PREFIX = 'antora-search-'
+const CACHE_NAME = CACHE_PREFIX + PRECACHE.version
+// the client caches the expanded index of each module in IndexedDB under id:hash
+const DB_NAME = 'antora-search-index'
+const DB_STORE = 'modules'
+
+const precacheUrls = PRECACHE.paths.map((path) => new URL(path, self.registration.scope).href)
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      // bypass the HTTP cache, which may still hold a previous version of a file whose name has no content hash
+      .then((cache) => cache.addAll(precacheUrls.map((url) => new Request(url, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(Promise.all([deleteOutdatedCaches(), pruneModuleIndexes()]).then(() => self.clients.claim()))
+})
+
+// the precached files only change along with the version of the service worker, so they're served from the cache
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET' || !precacheUrls.includes(request.url.split('?')[0])) return
+  event.respondWith(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.match(request, { ignoreSearch: true }))
+      .then((cached) => cached || fetch(request))
+  )
+})
+
+function deleteOutdatedCaches () {
+  return caches.keys().then((names) => {
+    const outdatedNames = names.filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+    return Promise.all(outdatedNames.map((name) => caches.delete(name)))
+  })
+}
+
+// Deletes the module indexes cached by the client that are no longer listed in the manifest
+function pruneModuleIndexes () {
+  return new Promise((resolve) => {
+    if (!('indexedDB' in self)) return resolve()
+    const req = self.indexedDB.open(DB_NAME)
+    // don't create the database if the client hasn't created it yet
+    req.onupgradeneeded = () => req.transaction.abort()
+    req.onerror = () => resolve()
+    req.onsuccess = () => {
+      const db = req.result
+      if (!db.objectStoreNames.contains(DB_STORE)) {
+        db.close()
+        return resolve()
+      }
+      const tx = db.transaction(DB_STORE, 'readwrite')
+      const cursorReq = tx.objectStore(DB_STORE).openCursor()
+      cursorReq.onsuccess = () => {
+        const cursor = cursorReq.result
+        if (!cursor) return
+        if (!PRECACHE.moduleKeys.includes(cursor.key)) cursor.delete()
+        cursor.continue()
+      }
+      tx.oncomplete = tx.onerror = tx.onabort = () => {
+        db.close()
+        resolve()
+      }
+    }
+  })
+}
@@ -0,0 +1,78 @@
+'use strict'
+
+const SYNONYMS_FILTER_LABEL = 'synonyms'
+const UNSTEMMED_FIELDS_LABEL_PREFIX = 'unstemmedFields-'
+
+/**
+ * Registers the stemmers of the unstemmed fields that the search pipeline of the index refers to by label,
+ * and splits the terms of the query on the custom separator, like the text was split when the index was built.
+ * @param {Object} lunr - The Lunr module
+ * @param {Object} tokenizer - The tokenizer configuration, read from the store
+ * @param {string[]} pipeline - The labels of the functions of the serialized search pipeline
+ * @param {string[]} [languages=['en']] - The languages of the index, read from the store
+ */
+export function registerTokenizerFilters (lunr, { separator, unstemmedFields }, pipeline, languages = ['en']) {
+  if (separator && usesLunrTokenizer(lunr, languages)) lunr.QueryLexer.termSeparator = new RegExp(separator)
+  if (!unstemmedFields) return
+  // each stemmer of the search pipeline (one per language) is wrapped under its own label
+  pipeline
+    .filter((label) => label.startsWith(UNSTEMMED_FIELDS_LABEL_PREFIX))
+    .forEach((label) => {
+      const stemmer = lunr.Pipeline.registeredFunctions[label.slice(UNSTEMMED_FIELDS_LABEL_PREFIX.length)]
+      registerPipelineFunction(lunr, createFieldStemmer(stemmer, unstemmedFields), label)
+    })
+}
+
+/**
+ * Creates the pipeline function that replaces each synonym with its term, like when the index was built,
+ * and registers it under the label used in the serialized search pipeline of the index.
+ * @param {Object} lunr - The Lunr module
+ * @param {Object} synonyms - A map of each synonym to its term, read from the store
+ * @returns {Function} The pipeline function
+ */
+export function registerSynonymsFilter (lunr, synonyms) {
+  const terms = new Map(Object.entries(synonyms))
+  const synonymsFilter = (token) => token.update((word) => terms.get(word) || word)
+  return registerPipelineFunction(lunr, synonymsFilter, SYNONYMS_FILTER_LABEL)
+}
+
+// The Japanese and Thai support comes with its own tokenizer, so the index was built without the custom separator.
+// Like when the index was built, the language support only applies to a single language (lunr.multiLanguage,
+// which the client doesn't load, keeps the tokenizer of Lunr).
+function usesLunrTokenizer (lunr, languages) {
+  if (languages.length > 1 || languages.includes('en')) return true
+  const builder = new lunr.Builder()
+  builder.use(lunr[languages[0]])
+  return builder.tokenizer === lunr.tokenizer
+}
+
+/**
+ * Creates the function that applies the stemmer except in the unstemmed fields.
+ * A query term searched in both kinds of fields yields both the word and its stem.
+ * @param {Function} stemmer - A stemmer pipeline function
+ * @param {string[]} unstemmedFields - The names of the fields whose words are indexed as is
+ * @returns {Function} The pipeline function
+ */
+export function createFieldStemmer (stemmer, unstemmedFields) {
+  return (token, i, tokens) => {
+    const fields = token.metadata.fields || []
+    const stemmedFieldCount = fields.filter((name) => !unstemmedFields.includes(name)).length
+    if (stemmedFieldCount === fields.length) return stemmer(token, i, tokens)
+    if (!stemmedFieldCount) return token
+    return [token.clone(), stemmer(token.clone(), i, tokens)]
+  }
+}
+
+/**
+ * Registers a pipeline function under the label used in the serialized search pipeline of the index.
+ * Each index file registers the same functions, so the function is replaced without a warning.
+ * @param {Object} lunr - The Lunr module
+ * @param {Function} fn - The pipeline function
+ * @param {string} label - The label of the function
+ * @returns {Function} The pipeline function
+ */
+export function registerPipelineFunction (lunr, fn, label) {
+  delete lunr.Pipeline.registeredFunctions[label]
+  lunr.Pipeline.registerFunction(fn, label)
+  return fn
+}
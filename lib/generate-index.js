@@ -4,14 +4,57 @@ const lunr = require('lunr')
 const cheerio = require('cheerio')
 const { decode } = require('html-entities')
 const LevenshteinTrie = require('./levenshtein_patricia_trie')
+const { resolveSynonyms, useSynonyms } = require('./synonyms')
+const { resolveTokenizer, useTokenizer } = require('./tokenizer')
 const pako = require('pako')
 const path = require('path')
 const crypto = require('crypto')
+
+// Fields indexed for every page; custom fields from the fields option are merged into this list by name.
+const DEFAULT_FIELDS = [
+  { name: 'title', boost: 10 },
+  { name: 'name' },
+  { name: 'text' },
+  { name: 'component' },
+  { name: 'keyword', boost: 5 },
+  // the content of the listings, so code doesn't dilute the ranking of the prose
+  { name: 'code', boost: 0.5 },
+]
+const FIELD_SOURCES = ['attribute', 'selector', 'src']
+const SECTION_MARKER_RX = /\s*\uE000(\d+)\uE001\s*/g
+const LISTING_SELECTOR = '.listingblock pre'
+const LISTING_MARKER_RX = /\uE002(\d+)\uE003/g
+const STORAGE_MODES = ['full', 'compact']
+const DEFAULT_STORED_TEXT_LENGTH = 1000
+const INDEX_ENCODINGS = ['base64', 'binary']
+const INDEX_FORMATS = ['monolithic', 'split', 'both']
+const SPLIT_MODES = ['none', 'component', 'component-version', 'module', 'size']
+// the properties of a page that select its split index file in each split mode
+const SPLIT_SCOPE_KEYS = {
+  component: ['component'],
+  'component-version': ['component', 'version'],
+  module: ['component', 'module'],
+  size: ['component', 'version', 'module'],
+}
+const DEFAULT_SPLIT_SIZE = 256 * 1024
+// length of the content hash in the name of a binary index file
+const FILENAME_HASH_LENGTH = 16
+// length of the hash of the scopes at the end of the id of a split index file
+const MODULE_ID_HASH_LENGTH = 8
+// words of the vocabulary used to suggest corrections and completions; shorter words are too ambiguous
+const VOCABULARY_WORD_RX = /\p{L}[\p{L}\p{N}]*/gu
+const VOCABULARY_WORD_MIN_LENGTH = 3
+const VOCABULARY_WORD_MAX_LENGTH = 30
+// maximum number of words in the vocabulary of an index file, so a large site doesn't bloat every index file
+const VOCABULARY_MAX_SIZE = 10000
+
 /**
  * Generate a Lunr index.
  *
  * Iterates over the specified pages and creates a Lunr index.
- * Then creates a patricia trie index for levenshtein distance compare.
+ * Then creates a patricia trie index for levenshtein distance compare,
+ * a trie of the vocabulary of the pages to suggest corrections for misspelled queries,
+ * and a trie of the words of the titles and of the keywords to suggest completions as the user types.
  *
  * @memberof lunr-extension
  *
@@ -20,20 +63,69 @@ const crypto = require('crypto')
  * @param {Object} [config={}] - Configuration options
  * @param {Boolean} config.indexLatestOnly - If true, only index the latest version of any given page.
  * @param {Array<String>} config.languages - List of index languages
+ * @param {Array<Object>} config.fields - Additional fields (or boost overrides) to index
+ * @param {Array<String>} config.facets - Names of the page attributes to store as facets
+ * @param {Array<String>} config.excludeSelectors - CSS selectors of the article elements not to index
+ * @param {Array<String>} config.includeSelectors - CSS selectors of the only article elements to index
+ * @param {String} config.storage - How much of each page to keep in the store (full or compact)
+ * @param {Number} config.storedTextLength - In compact mode, the maximum length of the stored text of each section
+ * @param {Object|String} config.synonyms - A map of terms to synonyms, or the path of a YAML or JSON file
+ * @param {Object} config.boost - A map of components, component versions or modules to document boosts
+ * @param {Array<String>} config.stopWords - Additional words to leave out of the index and of the query
+ * @param {String} config.tokenSeparator - A regular expression that matches the characters between words
+ * @param {Boolean} config.splitIdentifiers - If true, also index the parts of camelCase and snake_case words
+ * @param {Array<String>} config.unstemmedFields - The names of the fields whose words are not stemmed
  * @param {Object} config.logger - Logger to use
  * @typedef {Object} SearchIndexData
  * @property {lunr.Index} index - a Lunr index
  * @property {Object} store - the documents store
+ * @property {Array<Object>} documents - the extracted documents, including the full text and HTML (not serialized)
+ * @property {Object} skipped - the URLs of the pages excluded by the noindex attribute or the robots meta tag
  * @returns {SearchIndexData} A data object that contains the Lunr index and documents store
  */
-function generateIndex (playbook, contentCatalog, { indexLatestOnly = false, languages = ['en'], logger } = {}) {
-  if (!logger) logger = process.env.NODE_ENV === 'test' ? { info: () => undefined } : console
+function generateIndex (
+  playbook,
+  contentCatalog,
+  {
+    indexLatestOnly = false,
+    languages = ['en'],
+    fields,
+    facets = [],
+    excludeSelectors = [],
+    includeSelectors = [],
+    storage,
+    storedTextLength,
+    synonyms,
+    boost,
+    stopWords,
+    tokenSeparator,
+    splitIdentifiers,
+    unstemmedFields,
+    logger,
+  } = {}
+) {
+  if (!logger) logger = process.env.NODE_ENV === 'test' ? { info: () => undefined, warn: () => undefined } : console
+  fields = resolveFields(fields)
+  facets = resolveFacets(facets)
+  excludeSelectors = resolveSelectors(excludeSelectors, 'excludeSelectors')
+  includeSelectors = resolveSelectors(includeSelectors, 'includeSelectors')
+  storage = resolveStorage(storage, storedTextLength)
+  synonyms = resolveSynonyms(synonyms, playbook.dir)
+  const boosts = resolveBoosts(boost)
+  const tokenizer = resolveTokenizer({ stopWords, tokenSeparator, splitIdentifiers, unstemmedFields }, fields)
 
   logger.info('Building search index with the language(s): %s', languages.join(', '))
 
+  // Keep track of the pages that are not indexed for the index report
+  const skipped = { noindex: [], robots: [] }
+
   // Select indexable pages
   const pages = contentCatalog.getPages((page) => {
-    if (!page.out || page.asciidoc?.attributes?.noindex != null) return
+    if (!page.out) return
+    if (page.asciidoc?.attributes?.noindex != null) {
+      skipped.noindex.push(page.pub.url)
+      return
+    }
     if (indexLatestOnly) {
       const component = contentCatalog.getComponent(page.src.component)
       if (contentCatalog.getComponentVersion(component, page.src.version) !== component.latest) return
@@ -50,7 +142,15 @@ function generateIndex (playbook, contentCatalog, { indexLatestOnly = false, lan
     const $ = cheerio.load(page.contents)
     // Only index page if not marked as "noindex" by "robots" meta tag
     if (!$('meta[name=robots][content=noindex]').length) {
-      accum.push({ id: id++, ...extractIndexContent(page, $) })
+      const doc = { id: id++, ...extractIndexContent(page, $, { fields, facets, excludeSelectors, includeSelectors }) }
+      if (doc.boost != null && !(doc.boost > 0)) {
+        logger.warn('Ignoring invalid page-search-boost attribute of %s; it must be a positive number', page.pub.url)
+        delete doc.boost
+      }
+      applyBoosts(doc, boosts)
+      accum.push(doc)
+    } else {
+      skipped.robots.push(page.pub.url)
     }
     return accum
   }, [])
@@ -83,80 +183,420 @@ function generateIndex (playbook, contentCatalog, { indexLatestOnly = false, lan
   }
 
   // Construct the Lunr index from the extracted content
-  const index = lunr(function () {
+  const index = buildIndex(documents, { fields, languages, synonyms, tokenizer })
+  documents.forEach((doc) => {
+    store.documents[doc.id] = storeDocument(doc, storage)
+  })
+  // expose languages used to allow split index generation later
+  store.languages = languages
+  // expose the schema so split indexes and the client build their indexes with the same fields and boosts
+  store.fields = fields.map(({ name, boost }) => (boost ? { name, boost } : { name }))
+  store.facets = facets
+  // the client replaces the synonyms in the query like they were replaced in the text
+  if (synonyms) store.synonyms = synonyms
+  // the client splits and filters the words of the query like the words of the text
+  if (tokenizer) store.tokenizer = tokenizer
+
+  store.trie = buildTrie(documents)
+  store.vocabulary = buildVocabulary(documents)
+  store.completions = buildCompletions(documents)
+
+  const componentVersions = {}
+  const components = contentCatalog.getComponents()
+  for (const component of components) {
+    for (const version of component.versions) {
+      componentVersions[`${component.name}/${version.version}`] = version
+    }
+    // allow the client to restrict the search to the version of the current page or to the latest version
+    store.components[component.name] = {
+      title: component.title,
+      latest: component.latest.version,
+      versions: component.versions.map(({ version, displayVersion }) => ({ version, displayVersion })),
+    }
+  }
+  store.componentVersions = componentVersions
+
+  return { index, store, documents, skipped }
+}
+
+/**
+ * Merge the custom fields with the default fields.
+ *
+ * A custom field with the same name as a default field overrides its boost.
+ * Any other custom field must declare where its value comes from using exactly one of the following keys:
+ * attribute (an AsciiDoc page attribute), selector (a CSS selector evaluated against the article)
+ * or src (a property of the page src object).
+ * The values of the custom fields are stored in the customFields property of each document,
+ * so a custom field can have the same name as a property of the document (e.g., url), except id.
+ *
+ * @param {Array<Object>} [fields=[]] - Custom field definitions
+ * @returns {Array<Object>} The field definitions to index
+ */
+function resolveFields (fields = []) {
+  if (!Array.isArray(fields)) throw new Error('The fields option must be a list of field definitions')
+  const resolved = DEFAULT_FIELDS.map((field) => ({ ...field }))
+  for (const field of fields) {
+    const { name, boost } = field || {}
+    if (!name) throw new Error('Each entry in the fields option must specify a name')
+    if (name === 'id') throw new Error('Field id is reserved for the reference of the documents')
+    if (boost != null && !(typeof boost === 'number' && boost > 0)) {
+      throw new Error(`The boost of field ${name} must be a positive number`)
+    }
+    const sources = FIELD_SOURCES.filter((source) => field[source] != null)
+    if (sources.length > 1) throw new Error(`Field ${name} must specify only one of: ${FIELD_SOURCES.join(', ')}`)
+    const existing = resolved.find((it) => it.name === name)
+    if (existing) {
+      if (sources.length && !existing[sources[0]]) throw new Error(`Cannot change the source of built-in field ${name}`)
+      if (boost != null) existing.boost = boost
+      continue
+    }
+    if (!sources.length) throw new Error(`Field ${name} must specify one of: ${FIELD_SOURCES.join(', ')}`)
+    resolved.push({ name, ...(boost != null && { boost }), [sources[0]]: field[sources[0]] })
+  }
+  return resolved
+}
+
+/**
+ * Validate the names of the page attributes to store as facets.
+ *
+ * @param {Array<String>} [facets=[]] - Names of page attributes (e.g., page-audience)
+ * @returns {Array<String>} The names of the facets
+ */
+function resolveFacets (facets = []) {
+  if (!Array.isArray(facets) || facets.some((facet) => typeof facet !== 'string' || !facet)) {
+    throw new Error('The facets option must be a list of page attribute names')
+  }
+  return [...new Set(facets)]
+}
+
+/**
+ * Validate a list of CSS selectors.
+ *
+ * @param {String|Array<String>} [selectors=[]] - A CSS selector or a list of CSS selectors
+ * @param {String} optionName - The name of the option, used in error messages
+ * @returns {Array<String>} The list of CSS selectors
+ */
+function resolveSelectors (selectors = [], optionName) {
+  if (typeof selectors === 'string') selectors = [selectors]
+  if (!Array.isArray(selectors) || selectors.some((selector) => typeof selector !== 'string' || !selector)) {
+    throw new Error(`The ${optionName} option must be a list of CSS selectors`)
+  }
+  const $ = cheerio.load('')
+  for (const selector of selectors) {
+    try {
+      $(selector)
+    } catch (err) {
+      throw new Error(`Invalid CSS selector in ${optionName} option: ${selector}`)
+    }
+  }
+  return selectors
+}
+
+/**
+ * Validate the document boosts.
+ *
+ * Each key is a component (e.g., reference), a component version (e.g., reference/2.0)
+ * or a module (e.g., reference::api), and each value is a positive number.
+ *
+ * @param {Object} [boost={}] - A map of components, component versions or modules to boosts
+ * @returns {Map<String,Number>} The boosts
+ */
+function resolveBoosts (boost = {}) {
+  if (boost == null || typeof boost !== 'object' || Array.isArray(boost)) {
+    throw new Error('The boost option must be a map of components, component versions or modules to boosts')
+  }
+  const boosts = new Map()
+  for (const [key, value] of Object.entries(boost)) {
+    if (!(typeof value === 'number' && value > 0)) throw new Error(`The boost of ${key} must be a positive number`)
+    boosts.set(key, value)
+  }
+  return boosts
+}
+
+// Multiply the boost of the page (if any) by the boosts of its component, component version and module
+function applyBoosts (doc, boosts) {
+  const keys = [doc.component, `${doc.component}/${doc.version}`, `${doc.component}::${doc.module || 'ROOT'}`]
+  const boost = keys.reduce((product, key) => product * (boosts.get(key) || 1), doc.boost || 1)
+  if (boost === 1) {
+    delete doc.boost
+  } else {
+    doc.boost = boost
+  }
+}
+
+/**
+ * Validate the storage mode and the cap on the stored text.
+ *
+ * @param {String} [mode=full] - full keeps the extracted document as is; compact keeps only what the UI needs
+ * @param {Number} [storedTextLength=1000] - The maximum length of the stored text of each section in compact mode
+ * @returns {Object} The storage configuration
+ */
+function resolveStorage (mode = 'full', storedTextLength = DEFAULT_STORED_TEXT_LENGTH) {
+  if (!STORAGE_MODES.includes(mode)) throw new Error(`The storage option must be one of: ${STORAGE_MODES.join(', ')}`)
+  if (!(Number.isInteger(storedTextLength) && storedTextLength > 0)) {
+    throw new Error('The storedTextLength option must be a positive integer')
+  }
+  return { mode, storedTextLength }
+}
+
+/**
+ * Create the store entry for an extracted document.
+ *
+ * In compact mode, the HTML is dropped and the text of the preamble and of each section is truncated,
+ * so the store only holds the text the UI needs to display a snippet for each hit.
+ * The section bounds are recomputed against the truncated text.
+ *
+ * @param {Object} doc - The extracted document
+ * @param {Object} storage - The storage configuration returned by resolveStorage
+ * @returns {Object} The document to store
+ */
+function storeDocument (doc, { mode, storedTextLength }) {
+  if (mode !== 'compact') return doc
+  const { html, ...stored } = doc
+  const truncate = (text) => {
+    if (text.length <= storedTextLength) return text
+    // cut at a word boundary unless the first word alone exceeds the cap
+    const truncated = text.slice(0, storedTextLength)
+    return /\s/.test(text.charAt(storedTextLength)) ? truncated : truncated.replace(/\s+\S*$/, '') || truncated
+  }
+  const preambleEnd = doc.titles.reduce(
+    (end, title) => (title.end && title.start < end ? title.start : end),
+    doc.text.length
+  )
+  let text = truncate(doc.text.slice(0, preambleEnd).trim())
+  stored.titles = doc.titles.map((title) => {
+    if (!title.end) return title
+    if (text) text += ' '
+    const start = text.length
+    text += truncate(doc.text.slice(title.start, title.end))
+    return { ...title, start, end: text.length }
+  })
+  stored.text = text
+  if (doc.listings) stored.listings = doc.listings.map((listing) => ({ ...listing, text: truncate(listing.text) }))
+  return stored
+}
+
+/**
+ * Build a Lunr index from the extracted documents.
+ *
+ * Each section is also added as a separate document using the ref ${doc.id}-${title.id}.
+ * This document contains the title of the section and the body of the section (excluding its subsections).
+ * The content of the listings of a section is indexed in the code field of that section (of the page for the preamble).
+ * The boost of the page, if any, applies to the page and to each of its sections.
+ *
+ * @param {Array<Object>} documents - The extracted documents
+ * @param {Object} config - Configuration options
+ * @param {Array<Object>} config.fields - The resolved field definitions
+ * @param {Array<String>} config.languages - List of index languages
+ * @param {Object} [config.synonyms] - The resolved synonyms
+ * @param {Object} [config.tokenizer] - The resolved tokenizer configuration, if the defaults of Lunr don't apply
+ * @returns {lunr.Index} a Lunr index
+ */
+function buildIndex (documents, { fields, languages, synonyms, tokenizer }) {
+  return lunr(function () {
     if (languages.length > 1) {
       this.use(lunr.multiLanguage(...languages))
     } else if (!languages.includes('en')) {
       this.use(lunr[languages[0]])
     }
+    if (synonyms) useSynonyms(this, lunr, synonyms)
+    useTokenizer(this, lunr, tokenizer)
     this.ref('id')
-    this.field('title', { boost: 10 })
-    this.field('name')
-    this.field('text')
-    this.field('component')
-    this.field('keyword', { boost: 5 })
+    fields.forEach(({ name, boost }) => this.field(name, boost ? { boost } : undefined))
     documents.forEach((doc) => {
+      const attributes = doc.boost ? { boost: doc.boost } : undefined
+      const code = groupListings(doc.listings)
+      let preambleEnd = doc.text.length
       doc.titles.forEach((title) => {
-        this.add({ id: `${doc.id}-${title.id}`, title: title.text })
+        const section = { id: `${doc.id}-${title.id}`, title: title.text, code: code.get(title.id) }
+        if (title.end) {
+          section.text = doc.text.slice(title.start, title.end)
+          if (title.start < preambleEnd) preambleEnd = title.start
+        }
+        this.add(section, attributes)
       })
-      this.add(doc)
-      store.documents[doc.id] = doc
+      // the body of each section is indexed with its title, so only index the preamble with the page
+      const text = preambleEnd < doc.text.length ? doc.text.slice(0, preambleEnd).trim() : doc.text
+      this.add({ ...doc, ...doc.customFields, id: doc.id, text, code: code.get(0) }, attributes)
     })
   })
-  // expose languages used to allow split index generation later
-  store.languages = languages
+}
 
-  store.trie = new LevenshteinTrie()
+// Join the content of the listings of each section, keyed by the id of the title of the section (0 for the preamble)
+function groupListings (listings = []) {
+  return listings.reduce((code, { text, section = 0 }) => {
+    return code.set(section, code.has(section) ? `${code.get(section)}\n${text}` : text)
+  }, new Map())
+}
+
+// Build the trie of section titles used to find documents by approximate title
+function buildTrie (documents) {
+  const trie = new LevenshteinTrie()
   documents.forEach((doc) => {
     doc.titles.forEach((title) => {
       const words = (title.text).toLowerCase().split(' ').join('_')
-      store.trie.insertWithData(words, doc.id)
+      trie.insertWithData(words, doc.id)
     })
   })
+  return trie
+}
 
-  const componentVersions = {}
-  const components = contentCatalog.getComponents()
-  for (const component of components) {
-    for (const version of component.versions) {
-      componentVersions[`${component.name}/${version.version}`] = version
+/**
+ * Build the trie of the words in the titles and in the text of the documents.
+ *
+ * The client looks up the words of a query that returns few results in this trie to suggest corrections.
+ * The data of each word is the number of documents that contain it, which ranks corrections at the same distance.
+ * Since the trie is stored as is in the store, it's returned in its serialized form.
+ * The trie holds at most VOCABULARY_MAX_SIZE words: the words of the titles first, then the most frequent words.
+ *
+ * @param {Array<Object>} documents - The extracted documents
+ * @returns {Object} The serialized trie
+ */
+function buildVocabulary (documents) {
+  const titleWords = new Set()
+  return buildFrequencyTrie(
+    documents,
+    (doc) => {
+      const words = extractVocabularyWords([doc.title, ...doc.titles.map((title) => title.text)].join(' '))
+      words.forEach((word) => titleWords.add(word))
+      return words.concat(extractVocabularyWords(doc.text))
+    },
+    { maxSize: VOCABULARY_MAX_SIZE, isPreferred: (word) => titleWords.has(word) }
+  )
+}
+
+/**
+ * Build the trie of the words in the titles and of the keywords of the documents.
+ *
+ * The client looks up the last word of the query in this trie to suggest completions as the user types.
+ * Like in the vocabulary, the data of each term is the number of documents that contain it.
+ *
+ * @param {Array<Object>} documents - The extracted documents
+ * @returns {Object} The serialized trie
+ */
+function buildCompletions (documents) {
+  return buildFrequencyTrie(documents, (doc) => {
+    const terms = extractVocabularyWords([doc.title, ...doc.titles.map((title) => title.text)].join(' '))
+    if (doc.keyword) {
+      // a keyword is completed as a whole, so it may contain characters that separate words (e.g., configure-server)
+      String(doc.keyword).split(',').forEach((keyword) => {
+        keyword = keyword.trim().toLowerCase()
+        if (keyword.length >= VOCABULARY_WORD_MIN_LENGTH) terms.push(keyword)
+      })
     }
-  }
-  store.componentVersions = componentVersions
+    return terms
+  })
+}
 
-  return { index, store }
+function extractVocabularyWords (text) {
+  return (text.toLowerCase().match(VOCABULARY_WORD_RX) || []).filter(
+    (word) => word.length >= VOCABULARY_WORD_MIN_LENGTH && word.length <= VOCABULARY_WORD_MAX_LENGTH
+  )
+}
+
+// Count the number of documents that contain each term and store the terms in a serialized trie
+// If there are more than maxSize terms, only keep the preferred terms first, then the most frequent ones
+function buildFrequencyTrie (documents, extractTerms, { maxSize = Infinity, isPreferred = () => false } = {}) {
+  let frequencies = new Map()
+  documents.forEach((doc) => {
+    new Set(extractTerms(doc)).forEach((term) => frequencies.set(term, (frequencies.get(term) || 0) + 1))
+  })
+  if (frequencies.size > maxSize) {
+    frequencies = new Map(
+      [...frequencies]
+        .sort(([a, aFrequency], [b, bFrequency]) =>
+          isPreferred(b) - isPreferred(a) || bFrequency - aFrequency || (a < b ? -1 : a > b ? 1 : 0)
+        )
+        .slice(0, maxSize)
+    )
+  }
+  const trie = new LevenshteinTrie()
+  frequencies.forEach((frequency, term) => trie.insertWithData(term, frequency))
+  return JSON.parse(trie.save())
 }
 
 /**
  * Extract the index content for a given page.
  * @param {Object<Page>} page Full text input to clean irrelevant material from.
  * @param {*} $ Cheerio representation of the page.
+ * @param {Object} [options={}]
+ * @param {Array<Object>} [options.fields=[]] Field definitions; the value of each custom field is read from its source.
+ * @param {Array<String>} [options.facets=[]] Names of the page attributes to store as facets.
+ * @param {Array<String>} [options.excludeSelectors=[]] CSS selectors of the article elements not to index.
+ * @param {Array<String>} [options.includeSelectors=[]] CSS selectors of the only article elements to index.
  * @returns {Object} Indexable content for a given page.
  */
-function extractIndexContent (page, $) {
+function extractIndexContent (page, $, options = {}) {
+  const { fields = [], facets = [], excludeSelectors = [], includeSelectors = [] } = options
   // Fetch just the article content, so we don't index the TOC and other on-page text
   // Remove any found headings, to improve search results
   const article = $('article.doc')
+  // Read custom fields first so a selector can still target headings
+  const customFields = {}
+  for (const { name, attribute, selector, src } of fields) {
+    let value
+    if (attribute) {
+      value = page.asciidoc?.attributes?.[attribute]
+    } else if (selector) {
+      value = $(selector, article).map((_, el) => $(el).text()).get().join(' ')
+    } else if (src) {
+      value = page.src[src]
+    } else {
+      continue
+    }
+    if (value == null || value === '') continue
+    customFields[name] = String(value).replace(/\s+/g, ' ').trim()
+  }
+  // Facet values are stored, not indexed; a comma-separated attribute value holds multiple values
+  const facetValues = {}
+  for (const facet of facets) {
+    const value = page.asciidoc?.attributes?.[facet]
+    if (value == null) continue
+    const values = String(value).split(',').map((it) => it.trim()).filter((it) => it)
+    if (values.length) facetValues[facet] = values
+  }
   const $h1 = $('h1', article)
   const documentTitle = $h1.first().text()
   $h1.remove()
+  // Custom fields have already been read, so content can be excluded from the text yet indexed in its own field
+  if (excludeSelectors.length) $(excludeSelectors.join(', '), article).remove()
+  if (includeSelectors.length) {
+    const includeSelector = includeSelectors.join(', ')
+    // Skip elements nested in another included element so their content is only indexed once
+    const included = $(includeSelector, article).filter(function () {
+      return !$(this).parentsUntil(article).is(includeSelector)
+    })
+    article.empty().append(included)
+  }
+  // Replace each listing with a marker to index its content in the code field of the section it belongs to
+  const listingBlocks = []
+  $(LISTING_SELECTOR, article).each(function () {
+    const $listing = $(this)
+    listingBlocks.push({ html: $.html($listing), text: $listing.text() })
+    $listing.replaceWith(`\uE002${listingBlocks.length - 1}\uE003`)
+  })
   const titles = []
   const keywords = page.asciidoc.attributes?.keywords
+  // validated by generateIndex, which knows how to report an invalid value
+  const searchBoost = page.asciidoc.attributes?.['page-search-boost']
   let id = 1
   $('h2,h3,h4,h5,h6', article).each(function () {
     const $title = $(this)
-    titles.push({
+    const title = {
       text: $title.text(),
       hash: $title.attr('id'),
       id: id++,
-    })
-    if (/\s/.test($title.text())) {
+    }
+    titles.push(title)
+    if (/\s/.test(title.text)) {
       titles.push({
-        text: $title.text().split(' ').join('_'),
-        hash: $title.attr('id'),
+        text: title.text.split(' ').join('_'),
+        hash: title.hash,
         id: id++,
       })
     }
-    $title.remove()
+    // Replace the heading with a marker to find where the body of the section is in the text
+    $title.replaceWith(`\uE000${title.id}\uE001`)
   })
 
   // don't index navigation elements for pagination on each page
@@ -171,12 +611,39 @@ function extractIndexContent (page, $) {
   html = decode(html)
 
   // For search index, we still need a plain text version without HTML tags
-  const text = html
+  const markedText = html
     .replace(/(<([^>]+)>)/gi, '')
     .replace(/\n/g, ' ')
     .replace(/\r/g, ' ')
     .replace(/\s+/g, ' ')
-    .trim()
+  html = html
+    .replace(SECTION_MARKER_RX, '')
+    .replace(LISTING_MARKER_RX, (_, idx) => decode(listingBlocks[idx].html))
+
+  // Take the listings out of the body of each section, keeping the title id of the section they belong to
+  const listings = []
+  const extractListings = (body, section) =>
+    body
+      .replace(LISTING_MARKER_RX, (_, idx) => {
+        listings.push({ text: listingBlocks[idx].text, ...(section && { section }) })
+        return ' '
+      })
+      .replace(/\s+/g, ' ')
+      .trim()
+
+  // The text alternates between the body of a section and the id of the title of the next section.
+  // Record where the body of each section starts and ends in the text (excluding its subsections).
+  const sectionBodies = markedText.split(SECTION_MARKER_RX)
+  let text = extractListings(sectionBodies[0])
+  for (let i = 1; i < sectionBodies.length; i += 2) {
+    const body = extractListings(sectionBodies[i + 1], Number(sectionBodies[i]))
+    if (!body) continue
+    if (text) text += ' '
+    const title = titles.find((it) => it.id === Number(sectionBodies[i]))
+    title.start = text.length
+    text += body
+    title.end = text.length
+  }
 
   // Return the indexable content, organized by type
   return {
@@ -190,6 +657,11 @@ function extractIndexContent (page, $) {
     url: page.pub.url,
     titles: titles, // TODO get title id to be able to use fragment identifier
     keyword: keywords,
+    ...(listings.length && { listings }),
+    ...(searchBoost != null && { boost: Number(searchBoost) }),
+    ...(facets.length && { facets: facetValues }),
+    // kept apart so a custom field can't replace a property of the document (e.g., its url or its version)
+    ...(Object.keys(customFields).length && { customFields }),
   }
 }
 
@@ -198,7 +670,7 @@ function createIndexFile (index) {
   let trieData = index.store.trie.save()
   trieData = pako.deflate(trieData)
   trieData = btoa(trieData.reduce((data, byte) => data + String.fromCharCode(byte), ''))
-  let lunrData = JSON.stringify(index)
+  let lunrData = JSON.stringify({ index: index.index, store: index.store })
   lunrData = pako.deflate(lunrData)
   lunrData = btoa(lunrData.reduce((data, byte) => data + String.fromCharCode(byte), ''))
   return {
@@ -211,18 +683,103 @@ function createIndexFile (index) {
   }
 }
 
-// Helper to create split index files per component/module and a manifest
-function createSplitIndexFiles (globalIndex) {
-  const allDocs = Object.values(globalIndex.store.documents)
-  const groups = {}
-  for (const doc of allDocs) {
-    const mod = doc.module || 'ROOT'
-    const key = `${doc.component}::${mod}`
-    if (!groups[key]) groups[key] = { component: doc.component, module: mod, documents: [] }
-    groups[key].documents.push(doc)
+/**
+ * Validate the encoding of the index files.
+ *
+ * @param {String} [encoding=base64] - base64 embeds the index in search-index.js and the module JSON files;
+ *   binary writes the deflated index to content-hashed .bin files
+ * @returns {String} The encoding
+ */
+function resolveIndexEncoding (encoding = 'base64') {
+  if (!INDEX_ENCODINGS.includes(encoding)) {
+    throw new Error(`The indexEncoding option must be one of: ${INDEX_ENCODINGS.join(', ')}`)
+  }
+  return encoding
+}
+
+/**
+ * Validate which index files are written.
+ *
+ * @param {String} [format=both] - monolithic writes the index of the whole site; split writes the split index files;
+ *   both writes both
+ * @returns {String} The format
+ */
+function resolveIndexFormat (format = 'both') {
+  if (!INDEX_FORMATS.includes(format)) {
+    throw new Error(`The indexFormat option must be one of: ${INDEX_FORMATS.join(', ')}`)
+  }
+  return format
+}
+
+// Serialize an index and its trie into a single deflated JSON payload, fetched by the client as an ArrayBuffer
+function createBinaryIndexData (index, metadata = {}) {
+  // the trie is serialized separately since its Map nodes don't survive JSON.stringify
+  const store = { ...index.store, trie: undefined }
+  const data = { ...metadata, index: index.index, store, trie: JSON.parse(index.store.trie.save()) }
+  const contents = Buffer.from(pako.deflate(JSON.stringify(data)))
+  return { contents, hash: crypto.createHash('sha256').update(contents).digest('hex') }
+}
+
+// Helper function allowing Antora to create a site asset containing the index as a content-hashed binary file
+function createBinaryIndexFile (index) {
+  const { contents, hash } = createBinaryIndexData(index)
+  const relPath = `search-index.${hash.slice(0, FILENAME_HASH_LENGTH)}.bin`
+  return {
+    mediaType: 'application/octet-stream',
+    contents,
+    src: { stem: 'search-index' },
+    out: { path: relPath },
+    pub: { url: `/${relPath}`, rootPath: '' },
+  }
+}
+
+/**
+ * Validate how the index is split into files that the client loads one after the other.
+ *
+ * @param {String} [mode=module] - none, component, component-version, module (component and module),
+ *   or size to pack the modules of the component versions into files of up to the target size
+ * @param {Number} [size=262144] - The target size in bytes of each file, which can only be set in size mode
+ * @returns {Object} The split configuration
+ */
+function resolveSplit (mode = 'module', size) {
+  if (!SPLIT_MODES.includes(mode)) throw new Error(`The split option must be one of: ${SPLIT_MODES.join(', ')}`)
+  if (size == null) {
+    size = DEFAULT_SPLIT_SIZE
+  } else if (mode !== 'size') {
+    throw new Error('The splitSize option can only be set when the split option is size')
+  }
+  if (!(Number.isInteger(size) && size > 0)) throw new Error('The splitSize option must be a positive number of bytes')
+  return { mode, size }
+}
+
+/**
+ * Create the split index files and the manifest that lists them.
+ *
+ * Each entry of the manifest lists the scopes of its file (e.g., { component, version } in component-version mode)
+ * so the client can find the file that contains the pages of the current page's component version or module.
+ * An entry with a single scope also has the properties of that scope.
+ *
+ * @param {SearchIndexData} globalIndex - The search index data returned by generateIndex
+ * @param {Object} [options={}]
+ * @param {String} [options.encoding=base64] - The encoding of the module files (base64 or binary)
+ * @param {Object} [options.indexFile] - The binary index file to reference in the manifest
+ * @param {Object} [options.split] - The split configuration returned by resolveSplit
+ * @returns {Array<Object>} The module files followed by the manifest
+ */
+function createSplitIndexFiles (globalIndex, { encoding = 'base64', indexFile, split = resolveSplit() } = {}) {
+  // build the indexes from the extracted documents since the stored documents may be truncated
+  const allDocs = globalIndex.documents || Object.values(globalIndex.store.documents)
+  const scopeKeys = SPLIT_SCOPE_KEYS[split.mode] || []
+  const groups = new Map()
+  if (scopeKeys.length) {
+    for (const doc of allDocs) {
+      const scope = {}
+      scopeKeys.forEach((key) => (scope[key] = key === 'module' ? doc.module || 'ROOT' : doc[key]))
+      const key = scopeKeys.map((it) => scope[it]).join('::')
+      if (!groups.has(key)) groups.set(key, { scopes: [scope], documents: [] })
+      groups.get(key).documents.push(doc)
+    }
   }
-  const files = []
-  const modules = []
 
   const toBase64 = (u8) => btoa(u8.reduce((data, byte) => data + String.fromCharCode(byte), ''))
 
@@ -232,48 +789,52 @@ function createSplitIndexFiles (globalIndex) {
 
     const store = {
       documents: {},
-      components: {},
+      components: globalIndex.store.components,
       trie: {},
       componentVersions: globalIndex.store.componentVersions,
       languages: globalIndex.store.languages,
+      fields: globalIndex.store.fields,
+      facets: globalIndex.store.facets,
+      synonyms: globalIndex.store.synonyms,
+      tokenizer: globalIndex.store.tokenizer,
     }
 
-    const idx = lunr(function () {
-      if (languages.length > 1) {
-        this.use(lunr.multiLanguage(...languages))
-      } else if (!languages.includes('en')) {
-        this.use(lunr[languages[0]])
-      }
-      this.ref('id')
-      this.field('title', { boost: 10 })
-      this.field('name')
-      this.field('text')
-      this.field('component')
-      this.field('keyword', { boost: 5 })
-      remappedDocs.forEach((doc) => {
-        doc.titles.forEach((title) => {
-          this.add({ id: `${doc.id}-${title.id}`, title: title.text })
-        })
-        this.add(doc)
-        store.documents[doc.id] = doc
-      })
-    })
-
-    store.trie = new LevenshteinTrie()
-    remappedDocs.forEach((doc) => {
-      doc.titles.forEach((title) => {
-        const words = (title.text).toLowerCase().split(' ').join('_')
-        store.trie.insertWithData(words, doc.id)
-      })
+    const { fields, synonyms, tokenizer } = store
+    const idx = buildIndex(remappedDocs, { fields, languages, synonyms, tokenizer })
+    remappedDocs.forEach((doc, i) => {
+      store.documents[doc.id] = { ...globalIndex.store.documents[docs[i].id], id: doc.id }
     })
+    store.trie = buildTrie(remappedDocs)
+    store.vocabulary = buildVocabulary(remappedDocs)
+    store.completions = buildCompletions(remappedDocs)
 
     return { index: idx, store }
   }
 
   const makeSafe = (s) => s.replace(/[^a-zA-Z0-9_-]/g, '-').replace(/-+/g, '-').toLowerCase()
 
-  for (const { component, module, documents } of Object.values(groups)) {
+  const createModuleFile = ({ scopes, documents }) => {
     const subset = buildIndexFromDocs(documents, globalIndex.store.languages || ['en'])
+    // a file that packs several scopes is named after the first one; since different scopes can have the same
+    // safe name (e.g., 1.0 and 1-0), the id ends with a short hash of the scopes
+    const scopesHash = crypto.createHash('sha256').update(JSON.stringify(scopes)).digest('hex')
+    const id = [...Object.values(scopes[0]).map(makeSafe), scopesHash.slice(0, MODULE_ID_HASH_LENGTH)].join('-')
+    const metadata = scopes.length === 1 ? { id, ...scopes[0] } : { id }
+    const entry = (url, hash) => ({ ...metadata, url, hash, docs: documents.length, scopes })
+
+    if (encoding === 'binary') {
+      const { contents, hash } = createBinaryIndexData(subset, metadata)
+      const relPath = `search-index/modules/${id}.${hash.slice(0, FILENAME_HASH_LENGTH)}.bin`
+      const url = `/${relPath}`
+      const file = {
+        mediaType: 'application/octet-stream',
+        contents,
+        src: { stem: `search-index-${id}` },
+        out: { path: relPath },
+        pub: { url, rootPath: '' },
+      }
+      return { file, entry: entry(url, hash), documents }
+    }
 
     let trieData = subset.store.trie.save()
     trieData = pako.deflate(trieData)
@@ -283,31 +844,104 @@ function createSplitIndexFiles (globalIndex) {
     const lunrB64 = toBase64(lunrData)
 
     const hash = crypto.createHash('sha256').update(lunrB64).update(trieB64).digest('hex')
-    const id = `${makeSafe(component)}-${makeSafe(module)}`
     const relPath = `search-index/modules/${id}.json`
     const url = `/${relPath}`
 
     const file = {
       mediaType: 'application/json',
-      contents: Buffer.from(JSON.stringify({ id, component, module, hash, lunrData: lunrB64, trieData: trieB64 })),
+      contents: Buffer.from(JSON.stringify({ ...metadata, hash, lunrData: lunrB64, trieData: trieB64 })),
       src: { stem: `search-index-${id}` },
       out: { path: relPath },
       pub: { url, rootPath: '' },
     }
-    files.push(file)
-    modules.push({ id, component, module, url, hash, docs: documents.length })
+    return { file, entry: entry(url, hash), documents }
   }
 
-  const manifest = {
+  let moduleFiles = [...groups.values()].map(createModuleFile)
+  if (split.mode === 'size') moduleFiles = packModuleFiles(moduleFiles, split.size, createModuleFile)
+
+  const files = moduleFiles.map(({ file }) => file)
+  const modules = moduleFiles.map(({ entry }) => entry)
+  files.push(createIndexManifestFile(globalIndex, { encoding, indexFile, modules, split }))
+
+  return files
+}
+
+/**
+ * Pack the files of the modules into files of up to the target size.
+ *
+ * The modules are packed in order, after moving the modules of each component version next to each other,
+ * so the modules of a component version end up in the same files.
+ * A module whose file exceeds the target size keeps its own file.
+ * The modules are packed based on the size of their own file, so a pack is split in two if its file
+ * still exceeds the target size once built.
+ *
+ * @param {Array<Object>} moduleFiles - The file, manifest entry and documents of each module
+ * @param {Number} size - The target size in bytes of each file
+ * @param {Function} createModuleFile - Creates the file and manifest entry of a group of modules
+ * @returns {Array<Object>} The file, manifest entry and documents of each pack
+ */
+function packModuleFiles (moduleFiles, size, createModuleFile) {
+  const componentVersionOf = ({ entry: { scopes: [{ component, version }] } }) => `${component}@${version}`
+  const componentVersionOrder = new Map()
+  for (const moduleFile of moduleFiles) {
+    const key = componentVersionOf(moduleFile)
+    if (!componentVersionOrder.has(key)) componentVersionOrder.set(key, componentVersionOrder.size)
+  }
+  const sorted = [...moduleFiles].sort(
+    (a, b) => componentVersionOrder.get(componentVersionOf(a)) - componentVersionOrder.get(componentVersionOf(b))
+  )
+  const packs = []
+  let pack
+  for (const moduleFile of sorted) {
+    const fileSize = moduleFile.file.contents.length
+    if (pack && pack.size + fileSize <= size) {
+      pack.moduleFiles.push(moduleFile)
+      pack.size += fileSize
+    } else {
+      packs.push((pack = { moduleFiles: [moduleFile], size: fileSize }))
+    }
+  }
+  return packs.flatMap(({ moduleFiles }) => createPackFiles(moduleFiles, size, createModuleFile))
+}
+
+function createPackFiles (moduleFiles, size, createModuleFile) {
+  if (moduleFiles.length === 1) return moduleFiles
+  const scopes = moduleFiles.flatMap(({ entry }) => entry.scopes)
+  const documents = moduleFiles.flatMap(({ documents }) => documents)
+  const packed = createModuleFile({ scopes, documents })
+  if (packed.file.contents.length <= size) return [packed]
+  const half = Math.ceil(moduleFiles.length / 2)
+  return [
+    ...createPackFiles(moduleFiles.slice(0, half), size, createModuleFile),
+    ...createPackFiles(moduleFiles.slice(half), size, createModuleFile),
+  ]
+}
+
+/**
+ * Create the manifest the client reads to find the index files.
+ *
+ * @param {SearchIndexData} globalIndex - The search index data returned by generateIndex
+ * @param {Object} [options={}]
+ * @param {String} [options.encoding=base64] - The encoding of the index files (base64 or binary)
+ * @param {Object} [options.indexFile] - The binary index file, if any
+ * @param {Array<Object>} [options.modules=[]] - The entries of the split index files
+ * @param {Object} [options.split] - The split configuration returned by resolveSplit
+ * @returns {Object} The manifest file
+ */
+function createIndexManifestFile (globalIndex, { encoding = 'base64', indexFile, modules = [], split = resolveSplit() } = {}) {
+  const manifest = { version: 1, languages: globalIndex.store.languages || ['en'], encoding, split: split.mode }
+  if (indexFile) {
+    manifest.index = { url: indexFile.pub.url, hash: crypto.createHash('sha256').update(indexFile.contents).digest('hex') }
+  }
+  manifest.modules = modules
+  return {
     mediaType: 'application/json',
-    contents: Buffer.from(JSON.stringify({ version: 1, languages: globalIndex.store.languages || ['en'], modules })),
+    contents: Buffer.from(JSON.stringify(manifest)),
     src: { stem: 'search-index-manifest' },
     out: { path: 'search-index/manifest.json' },
     pub: { url: '/search-index/manifest.json', rootPath: '' },
   }
-  files.push(manifest)
-
-  return files
 }
 
 /**
@@ -471,7 +1105,8 @@ function htmlToMarkdown (html) {
 
 // Helper function to create a Markdown file from the index data for LLM MCP support
 function createMarkdownIndexFile (index) {
-  const documents = Object.values(index.store.documents)
+  // the stored documents may not include the HTML, so use the extracted documents when available
+  const documents = index.documents || Object.values(index.store.documents)
 
   // Create a base directory for the Markdown files
   const baseDirName = 'site-docs'
@@ -543,6 +1178,18 @@ function createMarkdownIndexFile (index) {
 
 module.exports = generateIndex
 module.exports.createIndexFile = createIndexFile
+module.exports.createBinaryIndexFile = createBinaryIndexFile
 module.exports.createSplitIndexFiles = createSplitIndexFiles
+module.exports.createIndexManifestFile = createIndexManifestFile
 module.exports.createMarkdownIndexFile = createMarkdownIndexFile
 module.exports.htmlToMarkdown = htmlToMarkdown
+module.exports.resolveFields = resolveFields
+module.exports.resolveFacets = resolveFacets
+module.exports.resolveSelectors = resolveSelectors
+module.exports.resolveStorage = resolveStorage
+module.exports.resolveIndexEncoding = resolveIndexEncoding
+module.exports.resolveIndexFormat = resolveIndexFormat
+module.exports.resolveSplit = resolveSplit
+module.exports.resolveSynonyms = resolveSynonyms
+module.exports.resolveBoosts = resolveBoosts
+module.exports.resolveTokenizer = resolveTokenizer
@@ -0,0 +1,250 @@
+'use strict'
+
+const pako = require('pako')
+
+const DEFAULT_REPORT_PATH = 'search-index-report.json'
+const LARGEST_DOCUMENTS_LIMIT = 10
+const SIZE_BUDGET_DOCUMENTS_LIMIT = 5
+const SIZE_UNITS = { b: 1, kb: 1000, mb: 1000 * 1000, kib: 1024, mib: 1024 * 1024 }
+
+/**
+ * Normalize the value of the report option.
+ *
+ * @param {Boolean|Object} [report] - true or a map with the keys path and summary
+ * @returns {Object|undefined} The report configuration, or undefined if the report is not enabled
+ */
+function resolveReportConfig (report) {
+  if (report == null || report === false) return
+  if (report === true) report = {}
+  if (typeof report !== 'object' || Array.isArray(report)) {
+    throw new Error('The report option must be true or a map with the keys path and summary')
+  }
+  const { path = DEFAULT_REPORT_PATH, summary = false } = report
+  if (typeof path !== 'string' || !path || path.split('/').includes('..')) {
+    throw new Error('The path of the report must be a relative file path inside the site')
+  }
+  return { path: path.replace(/^\/+/, ''), summary: Boolean(summary) }
+}
+
+/**
+ * Create a machine-readable report about the generated search index.
+ *
+ * @memberof lunr-extension
+ *
+ * @param {Object} index - The search index data returned by generateIndex
+ * @param {Array<Object>} files - The index files added to the site catalog
+ * @returns {Object} The report
+ */
+function createIndexReport (index, files) {
+  const documents = Object.values(index.store.documents)
+  const componentVersions = {}
+  for (const doc of documents) {
+    const key = `${doc.component}/${doc.version}`
+    componentVersions[key] = (componentVersions[key] || 0) + 1
+  }
+  const largestDocuments = getLargestDocuments(documents, LARGEST_DOCUMENTS_LIMIT)
+  const fileReports = files.map((file) => {
+    const size = file.contents.length
+    const path = file.out.path
+    if (isIndexFile(file)) {
+      const deflatedSize = getDeflatedSize(file)
+      return { path, size, deflatedSize, documents: documents.length, terms: countTerms(index.index) }
+    }
+    if (isModuleFile(file)) {
+      const { id, component, version, module, subset } = readModuleFile(file)
+      const moduleDocuments = Object.keys(subset.store.documents).length
+      const deflatedSize = getDeflatedSize(file)
+      const terms = countTerms(subset.index)
+      return { path, id, component, version, module, size, deflatedSize, documents: moduleDocuments, terms }
+    }
+    return { path, size }
+  })
+  return {
+    pages: documents.length,
+    componentVersions,
+    skipped: {
+      noindex: index.skipped ? index.skipped.noindex : [],
+      robots: index.skipped ? index.skipped.robots : [],
+    },
+    terms: countTerms(index.index),
+    size: fileReports.reduce((total, { size }) => total + size, 0),
+    deflatedSize: fileReports.reduce((total, { deflatedSize = 0 }) => total + deflatedSize, 0),
+    files: fileReports,
+    largestDocuments,
+  }
+}
+
+/**
+ * Format the report as a human-readable summary.
+ *
+ * @param {Object} report - The report returned by createIndexReport
+ * @returns {String} The summary
+ */
+function formatIndexReport (report) {
+  const lines = [
+    `Search index: ${report.pages} page(s), ${report.terms} term(s), ${formatSize(report.size)} in ${report.files.length} file(s)`,
+  ]
+  Object.entries(report.componentVersions).forEach(([key, count]) => lines.push(`  ${key}: ${count} page(s)`))
+  const { noindex, robots } = report.skipped
+  if (noindex.length || robots.length) {
+    lines.push(`Skipped ${noindex.length} page(s) marked noindex and ${robots.length} page(s) marked by the robots meta tag`)
+  }
+  lines.push('Files:')
+  report.files.forEach(({ path, size, deflatedSize, documents }) => {
+    const details = documents == null ? '' : ` (${formatSize(deflatedSize)} deflated, ${documents} page(s))`
+    lines.push(`  ${path}: ${formatSize(size)}${details}`)
+  })
+  if (report.largestDocuments.length) {
+    lines.push('Largest pages:')
+    report.largestDocuments.forEach(({ url, size }) => lines.push(`  ${url}: ${formatSize(size)}`))
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Parse a size budget.
+ *
+ * @param {Number|String} [size] - A number of bytes or a string with a unit (e.g., 500 KiB, 5MB)
+ * @param {String} optionName - The name of the option, used in error messages
+ * @returns {Number|undefined} The size in bytes, or undefined if no size is specified
+ */
+function parseSize (size, optionName) {
+  if (size == null) return
+  if (typeof size === 'number' && size > 0) return size
+  const match = typeof size === 'string' && size.trim().match(/^(\d+(?:\.\d+)?)\s*([kKmM]i?)?[bB]?$/)
+  if (!match) throw new Error(`The ${optionName} option must be a positive number of bytes or a size such as 500 KiB or 5 MB`)
+  return Math.round(Number(match[1]) * SIZE_UNITS[((match[2] || '') + 'b').toLowerCase()])
+}
+
+/**
+ * Resolve whether exceeding a size budget fails the build.
+ *
+ * @param {Boolean} [strict=false] - Whether to fail the build instead of logging a warning
+ * @returns {Boolean} Whether to fail the build when an index file exceeds its size budget
+ */
+function resolveStrict (strict = false) {
+  if (typeof strict !== 'boolean') {
+    throw new Error(
+      'The strict option must be true or false ' +
+        '(true fails the build when an index file exceeds maxIndexSize or maxModuleSize)'
+    )
+  }
+  return strict
+}
+
+/**
+ * Check the size of the index files against the size budgets.
+ *
+ * @param {Object} index - The search index data returned by generateIndex
+ * @param {Array<Object>} files - The index files
+ * @param {Object} [budgets={}]
+ * @param {Number} [budgets.maxIndexSize] - Maximum size in bytes of search-index.js (or of the binary index file)
+ * @param {Number} [budgets.maxModuleSize] - Maximum size in bytes of each split index file
+ * @returns {Array<Object>} The files that exceed their budget, with the pages that contribute the most to their size
+ */
+function checkIndexSize (index, files, { maxIndexSize, maxModuleSize } = {}) {
+  const violations = []
+  for (const file of files) {
+    const size = file.contents.length
+    const path = file.out.path
+    let limit
+    let documents
+    if (isIndexFile(file)) {
+      if (!(maxIndexSize && size > maxIndexSize)) continue
+      limit = maxIndexSize
+      documents = Object.values(index.store.documents)
+    } else if (isModuleFile(file)) {
+      if (!(maxModuleSize && size > maxModuleSize)) continue
+      limit = maxModuleSize
+      documents = Object.values(readModuleFile(file).subset.store.documents)
+    } else {
+      continue
+    }
+    const largestDocuments = getLargestDocuments(documents, SIZE_BUDGET_DOCUMENTS_LIMIT)
+    violations.push({ path, size, limit, largestDocuments })
+  }
+  return violations
+}
+
+/**
+ * Format a size budget violation returned by checkIndexSize as a message.
+ *
+ * @param {Object} violation
+ * @returns {String} The message
+ */
+function formatSizeViolation ({ path, size, limit, largestDocuments }) {
+  const largest = largestDocuments.map(({ url, size }) => `${url} (${formatSize(size)})`).join(', ')
+  return `${path} is ${formatSize(size)}, which exceeds the budget of ${formatSize(limit)}; largest pages: ${largest}`
+}
+
+// Helper function allowing Antora to create a site file containing the report
+function createIndexReportFile (report, path = DEFAULT_REPORT_PATH) {
+  return {
+    mediaType: 'application/json',
+    contents: Buffer.from(JSON.stringify(report, null, 2)),
+    src: { stem: path.split('/').pop().replace(/\.json$/, '') },
+    out: { path },
+    pub: { url: `/${path}`, rootPath: '' },
+  }
+}
+
+function getLargestDocuments (documents, limit) {
+  return documents
+    .map((doc) => ({ url: doc.url, title: doc.title, size: Buffer.byteLength(JSON.stringify(doc)) }))
+    .sort((a, b) => b.size - a.size)
+    .slice(0, limit)
+}
+
+function isIndexFile (file) {
+  return /^search-index(?:\.js|\.[0-9a-f]+\.bin)$/.test(file.out.path)
+}
+
+function isModuleFile (file) {
+  return file.out.path.startsWith('search-index/modules/')
+}
+
+function readModuleFile (file) {
+  if (file.out.path.endsWith('.bin')) {
+    const { id, component, version, module, index, store } = JSON.parse(pako.inflate(file.contents, { to: 'string' }))
+    return { id, component, version, module, subset: { index, store } }
+  }
+  const { id, component, version, module, lunrData } = JSON.parse(file.contents)
+  const subset = JSON.parse(pako.inflate(Buffer.from(lunrData, 'base64'), { to: 'string' }))
+  return { id, component, version, module, subset }
+}
+
+// The size of the deflated data of an index file, which search-index.js and the module JSON files embed as base64
+function getDeflatedSize (file) {
+  if (file.out.path.endsWith('.bin')) return file.contents.length
+  let base64Strings
+  if (file.out.path.endsWith('.json')) {
+    const { lunrData, trieData } = JSON.parse(file.contents)
+    base64Strings = [lunrData, trieData]
+  } else {
+    base64Strings = Array.from(file.contents.toString().matchAll(/'([A-Za-z0-9+/]*={0,2})'/g), ([, data]) => data)
+  }
+  return base64Strings.reduce((total, data) => total + Buffer.from(data, 'base64').length, 0)
+}
+
+// a serialized index stores the inverted index as a list of [term, postings] entries
+function countTerms (index) {
+  const invertedIndex = index.invertedIndex
+  return Array.isArray(invertedIndex) ? invertedIndex.length : Object.keys(invertedIndex).length
+}
+
+function formatSize (size) {
+  if (size < 1024) return `${size} B`
+  if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KiB`
+  return `${(size / (1024 * 1024)).toFixed(1)} MiB`
+}
+
+module.exports = {
+  checkIndexSize,
+  createIndexReport,
+  createIndexReportFile,
+  formatIndexReport,
+  formatSizeViolation,
+  parseSize,
+  resolveReportConfig,
+  resolveStrict,
+}
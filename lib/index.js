@@ -5,7 +5,19 @@ const { name: packageName } = require('../package.json')
 const fs = require('fs')
 const { promises: fsp } = fs
 const generateIndex = require('./generate-index')
+const {
+  checkIndexSize,
+  createIndexReport,
+  createIndexReportFile,
+  formatIndexReport,
+  formatSizeViolation,
+  parseSize,
+  resolveReportConfig,
+  resolveStrict,
+} = require('./index-report')
 const LazyReadable = require('./lazy-readable')
+const { createSearchPageFile, findFileAtPath, resolveSearchPageConfig } = require('./search-page')
+const { createServiceWorkerFile, resolveServiceWorker } = require('./service-worker')
 const MultiFileReadStream = require('./multi-file-read-stream')
 const ospath = require('path')
 const template = require('./template')
@@ -15,18 +27,84 @@ const template = require('./template')
  *
  * @module lunr-extension
  */
-function register ({ config: { languages, indexLatestOnly, snippetLength = 100, ...unknownOptions } }) {
+function register ({
+  config: {
+    languages,
+    indexLatestOnly,
+    fields,
+    facets,
+    excludeSelectors,
+    includeSelectors,
+    storage,
+    storedTextLength,
+    indexEncoding,
+    indexFormat,
+    split,
+    splitSize,
+    searchPage,
+    serviceWorker,
+    synonyms,
+    boost,
+    stopWords,
+    tokenSeparator,
+    splitIdentifiers,
+    unstemmedFields,
+    report,
+    maxIndexSize,
+    maxModuleSize,
+    strict,
+    snippetLength = 100,
+    loadConcurrency = 2,
+    ...unknownOptions
+  },
+  playbook,
+}) {
   const logger = this.getLogger(packageName)
 
   if (Object.keys(unknownOptions).length) {
     const keys = Object.keys(unknownOptions)
     throw new Error(`Unrecognized option${keys.length > 1 ? 's' : ''} specified for ${packageName}: ${keys.join(', ')}`)
   }
+  // validate the index configuration up front so a misconfigured playbook fails before the site is generated
+  fields = generateIndex.resolveFields(fields)
+  facets = generateIndex.resolveFacets(facets)
+  excludeSelectors = generateIndex.resolveSelectors(excludeSelectors, 'excludeSelectors')
+  includeSelectors = generateIndex.resolveSelectors(includeSelectors, 'includeSelectors')
+  generateIndex.resolveStorage(storage, storedTextLength)
+  indexEncoding = generateIndex.resolveIndexEncoding(indexEncoding)
+  indexFormat = generateIndex.resolveIndexFormat(indexFormat)
+  split = generateIndex.resolveSplit(split, parseSize(splitSize, 'splitSize'))
+  if (indexFormat === 'monolithic') {
+    split = generateIndex.resolveSplit('none')
+  } else if (indexFormat === 'split' && split.mode === 'none') {
+    throw new Error('The split option must not be none when the indexFormat option is split')
+  }
+  // the client finds the split index files and the binary index file through the manifest
+  const indexLoaderPartialPath = split.mode === 'none' && indexEncoding === 'base64'
+    ? 'partials/search-index-script.hbs'
+    : 'partials/search-index-manifest.hbs'
+  generateIndex.resolveSynonyms(synonyms, playbook && playbook.dir)
+  generateIndex.resolveBoosts(boost)
+  generateIndex.resolveTokenizer({ stopWords, tokenSeparator, splitIdentifiers, unstemmedFields }, fields)
+  searchPage = resolveSearchPageConfig(searchPage)
+  serviceWorker = resolveServiceWorker(serviceWorker)
+  report = resolveReportConfig(report)
+  maxIndexSize = parseSize(maxIndexSize, 'maxIndexSize')
+  maxModuleSize = parseSize(maxModuleSize, 'maxModuleSize')
+  strict = resolveStrict(strict)
+  if (!(Number.isInteger(loadConcurrency) && loadConcurrency > 0)) {
+    throw new Error('The loadConcurrency option must be a positive integer')
+  }
+
+  // the paths of the search scripts and stylesheet, relative to the site root, precached by the service worker
+  let searchAssetPaths = []
 
   this.on('uiLoaded', async ({ playbook, uiCatalog }) => {
     playbook.env.SITE_SEARCH_PROVIDER = 'lunr'
     const uiOutputDir = playbook.ui.outputDir
     vendorJsFile(uiCatalog, logger, uiOutputDir, 'lunr/lunr.min.js', 'lunr.js')
+    // the index files are deflated, so the client only needs the inflate half of pako
+    vendorJsFile(uiCatalog, logger, uiOutputDir, 'pako/dist/pako_inflate.min.js', 'pako.js')
     const otherLanguages = (languages || []).filter((it) => it !== 'en')
     if (otherLanguages.length) {
       playbook.env.SITE_SEARCH_LANGUAGES = otherLanguages.join(',')
@@ -45,30 +123,101 @@ function register ({ config: { languages, indexLatestOnly, snippetLength = 100,
     }
     assetFile(uiCatalog, logger, uiOutputDir, 'css', 'search.css')
     assetFile(uiCatalog, logger, uiOutputDir, 'js', 'search-ui.js')
+    const assetPaths = ['js/vendor/lunr.js', 'js/vendor/pako.js', 'css/search.css', 'js/search-ui.js']
+    if (otherLanguages.length) assetPaths.push('js/vendor/lunr-languages.js')
+    searchAssetPaths = assetPaths.map((assetPath) => `${uiOutputDir}/${assetPath}`)
     const searchScriptsPartialPath = 'partials/search-scripts.hbs'
     if (uiCatalog.findByType('partial').some(({ path }) => path === searchScriptsPartialPath)) return
     const searchScriptsPartialFilepath = ospath.join(__dirname, '../data', searchScriptsPartialPath)
+    const indexLoaderPartialFilepath = ospath.join(__dirname, '../data', indexLoaderPartialPath)
+    const serviceWorkerPartialFilepath = ospath.join(__dirname, '../data/partials/search-service-worker.hbs')
     uiCatalog.addFile({
-      contents: Buffer.from(template(await fsp.readFile(searchScriptsPartialFilepath, 'utf8'), { snippetLength })),
+      contents: Buffer.from(
+        template(await fsp.readFile(searchScriptsPartialFilepath, 'utf8'), {
+          snippetLength,
+          loadConcurrency,
+          searchPage: searchPage ? `{{{siteRootPath}}}/${searchPage.path}` : '',
+          indexLoader: template((await fsp.readFile(indexLoaderPartialFilepath, 'utf8')).trimEnd(), {
+            // with the index of the whole site also written as a script, the client falls back to it
+            fallbackIndexUrl: indexFormat === 'both' && indexEncoding === 'base64' ? '{{{siteRootPath}}}/search-index.js' : '',
+          }),
+          serviceWorker: serviceWorker ? '\n' + (await fsp.readFile(serviceWorkerPartialFilepath, 'utf8')).trimEnd() : '',
+        })
+      ),
       path: searchScriptsPartialPath,
       stem: 'search-scripts',
       type: 'partial',
     })
   })
 
+  if (searchPage) {
+    // compose the search page with the layout of the site while the search scripts are still enabled
+    this.on('navigationBuilt', ({ playbook, contentCatalog, uiCatalog, navigationCatalog, siteCatalog }) => {
+      const existingFile = findFileAtPath(searchPage.path, contentCatalog, siteCatalog)
+      if (existingFile) {
+        const source = existingFile.src && existingFile.src.path ? ` (${existingFile.src.path})` : ''
+        logger.error('Not generating the search page since a file is already published to %s%s', searchPage.path, source)
+        return
+      }
+      const searchPageFile = createSearchPageFile(contentCatalog, searchPage)
+      if (!searchPageFile) return
+      const { createPageComposer } = this.getFunctions()
+      const composePage = createPageComposer(playbook, contentCatalog, uiCatalog, playbook.env)
+      siteCatalog.addFile(composePage(searchPageFile, contentCatalog, navigationCatalog))
+    })
+  }
+
   this.on('beforePublish', ({ playbook, siteCatalog, contentCatalog }) => {
     delete playbook.env.SITE_SEARCH_PROVIDER
     delete playbook.env.SITE_SEARCH_LANGUAGES
-    const index = generateIndex(playbook, contentCatalog, { indexLatestOnly, languages, logger })
-    siteCatalog.addFile(generateIndex.createIndexFile(index))
+    const index = generateIndex(playbook, contentCatalog, {
+      indexLatestOnly,
+      languages,
+      fields,
+      facets,
+      excludeSelectors,
+      includeSelectors,
+      storage,
+      storedTextLength,
+      synonyms,
+      boost,
+      stopWords,
+      tokenSeparator,
+      splitIdentifiers,
+      unstemmedFields,
+      logger,
+    })
+    const indexFiles = []
+    let binaryIndexFile
+    if (indexFormat !== 'split') {
+      if (indexEncoding === 'binary') binaryIndexFile = generateIndex.createBinaryIndexFile(index)
+      indexFiles.push(binaryIndexFile || generateIndex.createIndexFile(index))
+    }
+    const manifestOptions = { encoding: indexEncoding, indexFile: binaryIndexFile, split }
 
-    // Also generate split index files and manifest for per-module loading
-    try {
-      const splitFiles = generateIndex.createSplitIndexFiles(index)
-      splitFiles.forEach((file) => siteCatalog.addFile(file))
+    if (split.mode === 'none') {
+      // the client can only find the binary index file through the manifest
+      if (binaryIndexFile) indexFiles.push(generateIndex.createIndexManifestFile(index, manifestOptions))
+    } else {
+      // generate the split index files and the manifest for per-module loading
+      const splitFiles = generateIndex.createSplitIndexFiles(index, manifestOptions)
+      indexFiles.push(...splitFiles)
       logger.info('Generated split search index for %d module entries', splitFiles.length - 1)
-    } catch (e) {
-      logger.warn('Failed to generate split index files: %s', e.message)
+    }
+
+    const sizeViolations = checkIndexSize(index, indexFiles, { maxIndexSize, maxModuleSize })
+    if (sizeViolations.length) {
+      const messages = sizeViolations.map(formatSizeViolation)
+      if (strict) throw new Error(`Search index exceeds its size budget:\n${messages.join('\n')}`)
+      messages.forEach((message) => logger.warn(message))
+    }
+    indexFiles.forEach((file) => siteCatalog.addFile(file))
+    if (serviceWorker) siteCatalog.addFile(createServiceWorkerFile(indexFiles, searchAssetPaths))
+
+    if (report) {
+      const indexReport = createIndexReport(index, indexFiles)
+      siteCatalog.addFile(createIndexReportFile(indexReport, report.path))
+      if (report.summary) logger.info(formatIndexReport(indexReport))
     }
 
     // Add markdown files for LLM support
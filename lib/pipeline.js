@@ -0,0 +1,39 @@
+'use strict'
+
+/**
+ * Register a pipeline function under a label, so the search pipeline can be serialized with the index.
+ *
+ * The function of a previously built index is replaced without the warning Lunr logs when a label is reused.
+ *
+ * @param {Object} lunr - The Lunr module
+ * @param {Function} fn - The pipeline function
+ * @param {String} label - The label of the function in the serialized pipeline
+ * @returns {Function} The pipeline function
+ */
+function registerFunction (lunr, fn, label) {
+  delete lunr.Pipeline.registeredFunctions[label]
+  lunr.Pipeline.registerFunction(fn, label)
+  return fn
+}
+
+/**
+ * Add a function to a pipeline before the stemmer, or at the end of the pipeline if it has no stemmer.
+ *
+ * The stemmers of lunr-languages are labeled stemmer-<language>.
+ *
+ * @param {lunr.Pipeline} pipeline - The indexing or search pipeline
+ * @param {Function} fn - The pipeline function
+ */
+function addBeforeStemmer (pipeline, fn) {
+  const stemmer = pipeline._stack.find(({ label }) => label && label.startsWith('stemmer'))
+  if (stemmer) {
+    pipeline.before(stemmer, fn)
+  } else {
+    pipeline.add(fn)
+  }
+}
+
+module.exports = {
+  addBeforeStemmer,
+  registerFunction,
+}
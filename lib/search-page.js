@@ -0,0 +1,87 @@
+'use strict'
+
+const DEFAULT_SEARCH_PAGE_PATH = 'search.html'
+const DEFAULT_SEARCH_PAGE_TITLE = 'Search'
+
+/**
+ * Normalize the value of the search_page option.
+ *
+ * @param {Boolean|Object} [searchPage=false] - false, true or a map with the keys path and title
+ * @returns {Object|undefined} The search page configuration, or undefined if the search page is disabled
+ */
+function resolveSearchPageConfig (searchPage = false) {
+  if (searchPage === false) return
+  if (searchPage === true) searchPage = {}
+  if (searchPage == null || typeof searchPage !== 'object' || Array.isArray(searchPage)) {
+    throw new Error('The searchPage option must be true, false or a map with the keys path and title')
+  }
+  let { path = DEFAULT_SEARCH_PAGE_PATH, title = DEFAULT_SEARCH_PAGE_TITLE } = searchPage
+  if (typeof path === 'string') path = path.replace(/^\/+/, '')
+  if (typeof path !== 'string' || !/[^/]\.html$/.test(path) || path.split('/').includes('..')) {
+    throw new Error('The path of the search page must be a relative path inside the site that ends with .html')
+  }
+  return { path, title: String(title) }
+}
+
+/**
+ * Create the page that shows the full search results for the query in the q parameter of the URL.
+ *
+ * The page is attached to the component version of the site start page (or else to the latest version of the
+ * first component) so it can be composed using the layout of the site, but it is not added to the content
+ * catalog. That way, it's neither indexed nor listed in the sitemap.
+ *
+ * @param {ContentCatalog} contentCatalog - The Antora content catalog
+ * @param {Object} config - The search page configuration returned by resolveSearchPageConfig
+ * @returns {Object|undefined} The page to compose, or undefined if the site has no components
+ */
+function createSearchPageFile (contentCatalog, { path, title }) {
+  let component
+  let version
+  const startPage = contentCatalog.getSiteStartPage()
+  if (startPage) {
+    component = startPage.src.component
+    version = startPage.src.version
+  } else {
+    const firstComponent = contentCatalog.getComponents()[0]
+    if (!firstComponent) return
+    component = firstComponent.name
+    version = firstComponent.latest.version
+  }
+  const basename = path.split('/').pop()
+  const stem = basename.replace(/\.html$/, '')
+  const dirname = path.slice(0, path.length - basename.length).replace(/\/$/, '')
+  const rootPath = dirname ? dirname.split('/').map(() => '..').join('/') : '.'
+  return {
+    asciidoc: { doctitle: title, attributes: { 'page-search-results': '' } },
+    contents: Buffer.from(
+      '<div id="search-results-page" class="search-results-page">\n' +
+        '<noscript><p>The search requires JavaScript.</p></noscript>\n' +
+        '</div>'
+    ),
+    mediaType: 'text/html',
+    src: { component, version, module: 'ROOT', family: 'page', relative: `${stem}.adoc`, basename, stem },
+    out: { dirname, basename, path, rootPath },
+    pub: { url: `/${path}`, rootPath },
+    title,
+  }
+}
+
+/**
+ * Find a file of the site that is published to the output path of the search page.
+ *
+ * @param {String} path - The output path of the search page
+ * @param {...Object} catalogs - The catalogs to look in (e.g., the content catalog and the site catalog)
+ * @returns {Object|undefined} The first file published to that path, if any
+ */
+function findFileAtPath (path, ...catalogs) {
+  for (const catalog of catalogs) {
+    const file = catalog.getFiles().find(({ out }) => out && out.path === path)
+    if (file) return file
+  }
+}
+
+module.exports = {
+  createSearchPageFile,
+  findFileAtPath,
+  resolveSearchPageConfig,
+}
@@ -0,0 +1,67 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const ospath = require('path')
+const { version: packageVersion } = require('../package.json')
+
+const SERVICE_WORKER_PATH = 'search-sw.js'
+const SERVICE_WORKER_SOURCE_PATH = ospath.join(__dirname, '../data/js/search-sw.js')
+const MANIFEST_PATH = 'search-index/manifest.json'
+
+/**
+ * Validate the value of the serviceWorker option.
+ *
+ * @param {Boolean} [serviceWorker=false] - Whether to generate the service worker of the search
+ * @returns {Boolean} Whether the service worker is enabled
+ */
+function resolveServiceWorker (serviceWorker = false) {
+  if (typeof serviceWorker !== 'boolean') throw new Error('The serviceWorker option must be true or false')
+  return serviceWorker
+}
+
+/**
+ * Create the service worker that precaches the index files and the search assets.
+ *
+ * Only the index files that the search scripts load are precached: the manifest and the files it lists
+ * (the split index files, or else the binary index file), or else the index of the whole site.
+ * The version of the cache is derived from the contents of these files other than the split index files,
+ * since the manifest already lists the content hash of each split index file.
+ * A new version of the index therefore changes the service worker, so the browser installs it,
+ * precaches the new index files and drops the previous cache.
+ * The service worker also deletes the module indexes cached in IndexedDB that the manifest no longer lists.
+ *
+ * @param {Array<Object>} indexFiles - The index files added to the site catalog
+ * @param {Array<String>} assetPaths - The paths of the search scripts and stylesheet, relative to the site root
+ * @returns {Object} The service worker file
+ */
+function createServiceWorkerFile (indexFiles, assetPaths = []) {
+  const hash = crypto.createHash('sha256').update(packageVersion)
+  let moduleKeys = []
+  let loadedFiles = indexFiles
+  const manifestFile = indexFiles.find((file) => file.out.path === MANIFEST_PATH)
+  if (manifestFile) {
+    const { modules, index } = JSON.parse(manifestFile.contents)
+    moduleKeys = modules.map(({ id, hash }) => `${id}:${hash}`)
+    const urls = modules.length ? modules.map(({ url }) => url) : index ? [index.url] : []
+    loadedFiles = indexFiles.filter((file) => file === manifestFile || urls.includes(file.pub.url))
+  }
+  for (const file of loadedFiles) {
+    if (!file.out.path.startsWith('search-index/modules/')) hash.update(file.contents)
+  }
+  const precache = {
+    version: hash.digest('hex').slice(0, 16),
+    paths: [...loadedFiles.map((file) => file.out.path), ...assetPaths],
+    moduleKeys,
+  }
+  const source = fs.readFileSync(SERVICE_WORKER_SOURCE_PATH, 'utf8')
+  return {
+    mediaType: 'application/javascript',
+    contents: Buffer.from(`'use strict'\n\nconst PRECACHE = ${JSON.stringify(precache)}\n\n${source}`),
+    src: { stem: 'search-sw' },
+    out: { path: SERVICE_WORKER_PATH },
+    pub: { url: `/${SERVICE_WORKER_PATH}`, rootPath: '' },
+  }
+}
+
+module.exports = { createServiceWorkerFile, resolveServiceWorker }
@@ -0,0 +1,84 @@
+'use strict'
+
+const fs = require('fs')
+const ospath = require('path')
+const yaml = require('js-yaml')
+const { addBeforeStemmer, registerFunction } = require('./pipeline')
+
+// label under which the synonyms filter is serialized in the search pipeline of the index
+const SYNONYMS_FILTER_LABEL = 'synonyms'
+
+/**
+ * Normalize the value of the synonyms option.
+ *
+ * The option maps each term to a synonym or a list of synonyms (e.g., kubernetes: [k8s, kube]).
+ * It's either specified inline or as the path of a YAML or JSON file, resolved from the playbook directory.
+ *
+ * @param {Object|String} [synonyms] - A map of terms to synonyms or the path of a YAML or JSON file
+ * @param {String} [baseDir=process.cwd()] - The directory from which to resolve the path of the file
+ * @returns {Object|undefined} A map of each synonym (lowercased) to its term, or undefined if there are no synonyms
+ */
+function resolveSynonyms (synonyms, baseDir = process.cwd()) {
+  if (synonyms == null) return
+  if (typeof synonyms === 'string') synonyms = readSynonymsFile(ospath.resolve(baseDir, synonyms))
+  if (typeof synonyms !== 'object' || Array.isArray(synonyms)) {
+    throw new Error('The synonyms option must be a map of terms to synonyms or the path of a YAML or JSON file')
+  }
+  const resolved = {}
+  for (const [term, values] of Object.entries(synonyms)) {
+    if (values == null || (typeof values === 'object' && !Array.isArray(values))) {
+      throw new Error(`The synonyms of ${term} must be a word or a list of words`)
+    }
+    const normalizedTerm = normalizeWord(term)
+    for (const value of [].concat(values)) {
+      const synonym = normalizeWord(String(value))
+      if (synonym !== normalizedTerm) resolved[synonym] = normalizedTerm
+    }
+  }
+  return Object.keys(resolved).length ? resolved : undefined
+}
+
+function readSynonymsFile (path) {
+  const extname = ospath.extname(path).toLowerCase()
+  if (!['.json', '.yml', '.yaml'].includes(extname)) {
+    throw new Error(`The synonyms file must be a YAML or JSON file: ${path}`)
+  }
+  let contents
+  try {
+    contents = fs.readFileSync(path, 'utf8')
+  } catch (err) {
+    throw new Error(`Cannot read the synonyms file: ${path}`)
+  }
+  return extname === '.json' ? JSON.parse(contents) : yaml.load(contents)
+}
+
+// Lunr splits the text into words, so a synonym that contains a separator would never match
+function normalizeWord (word) {
+  const normalized = word.trim().toLowerCase()
+  if (!normalized || /[\s-]/.test(normalized)) throw new Error(`A synonym must be a single word: ${word}`)
+  return normalized
+}
+
+/**
+ * Add a pipeline function that replaces each synonym with its term to the indexing and search pipelines.
+ *
+ * The function runs before the stemmer so the term is stemmed like any other word.
+ * Since the search pipeline is serialized with the index, the function is registered so the client can load it,
+ * which requires the client to register a function with the same label built from the synonyms in the store.
+ *
+ * @param {lunr.Builder} builder - The builder of the index
+ * @param {Object} lunr - The Lunr module
+ * @param {Object} synonyms - The synonyms returned by resolveSynonyms
+ */
+function useSynonyms (builder, lunr, synonyms) {
+  const terms = new Map(Object.entries(synonyms))
+  const synonymsFilter = (token) => token.update((word) => terms.get(word) || word)
+  registerFunction(lunr, synonymsFilter, SYNONYMS_FILTER_LABEL)
+  addBeforeStemmer(builder.pipeline, synonymsFilter)
+  addBeforeStemmer(builder.searchPipeline, synonymsFilter)
+}
+
+module.exports = {
+  resolveSynonyms,
+  useSynonyms,
+}
@@ -0,0 +1,184 @@
+'use strict'
+
+const { addBeforeStemmer, registerFunction } = require('./pipeline')
+
+// labels under which the pipeline functions are registered; the search pipeline is serialized with the index
+const STOP_WORDS_FILTER_LABEL = 'stopWords'
+const UNSTEMMED_FIELDS_LABEL_PREFIX = 'unstemmedFields-'
+// an identifier is split into its runs of letters and digits, then each run into its camelCase humps
+const IDENTIFIER_SEGMENT_RX = /[\p{L}\p{N}]+/gu
+const CAMEL_CASE_HUMP_RX = /\p{Lu}+(?!\p{Ll})|\p{Lu}?[\p{Ll}\p{N}]+|\p{N}+/gu
+// shorter parts of an identifier (e.g., the digits of a version number) are too ambiguous to be indexed
+const IDENTIFIER_PART_MIN_LENGTH = 2
+// the content of the listings is split on whitespace and punctuation, except the characters found in identifiers
+const CODE_FIELD = 'code'
+const CODE_SEPARATOR_RX = /[^\p{L}\p{N}_.$/-]+/gu
+
+/**
+ * Normalize the options that customize how the text is split into words and how these words are filtered.
+ *
+ * @param {Object} [options={}]
+ * @param {Array<String>} [options.stopWords] - Additional words to leave out of the index and of the query
+ * @param {String} [options.tokenSeparator] - A regular expression that matches the characters between words
+ * @param {Boolean} [options.splitIdentifiers] - Whether to also index the parts of camelCase and snake_case words
+ * @param {Array<String>} [options.unstemmedFields] - The names of the fields whose words are indexed as is
+ * @param {Array<Object>} [fields] - The resolved field definitions, used to validate the unstemmed fields
+ * @returns {Object|undefined} The tokenizer configuration, or undefined if the defaults of Lunr apply
+ */
+function resolveTokenizer ({ stopWords, tokenSeparator, splitIdentifiers, unstemmedFields } = {}, fields) {
+  const tokenizer = {}
+  if (stopWords != null) {
+    if (!Array.isArray(stopWords) || stopWords.some((word) => typeof word !== 'string' || !word.trim())) {
+      throw new Error('The stopWords option must be a list of words')
+    }
+    if (stopWords.length) tokenizer.stopWords = [...new Set(stopWords.map((word) => word.trim().toLowerCase()))]
+  }
+  if (tokenSeparator != null) {
+    let separatorRx
+    try {
+      separatorRx = new RegExp(tokenSeparator)
+    } catch {}
+    if (typeof tokenSeparator !== 'string' || !separatorRx || separatorRx.test('')) {
+      throw new Error('The tokenSeparator option must be a regular expression that matches the characters between words')
+    }
+    tokenizer.separator = tokenSeparator
+  }
+  if (splitIdentifiers != null && splitIdentifiers !== false) {
+    if (splitIdentifiers !== true) throw new Error('The splitIdentifiers option must be true or false')
+    tokenizer.splitIdentifiers = true
+  }
+  if (unstemmedFields != null) {
+    if (!Array.isArray(unstemmedFields)) throw new Error('The unstemmedFields option must be a list of field names')
+    const names = fields && fields.map(({ name }) => name)
+    unstemmedFields.forEach((name) => {
+      if (names ? !names.includes(name) : typeof name !== 'string') {
+        throw new Error(`The unstemmedFields option must only contain the names of indexed fields: ${name}`)
+      }
+    })
+    if (unstemmedFields.length) tokenizer.unstemmedFields = [...new Set(unstemmedFields)]
+  }
+  return Object.keys(tokenizer).length ? tokenizer : undefined
+}
+
+/**
+ * Create a function that splits the text of a field into tokens like lunr.tokenizer,
+ * but using a custom separator and also adding the parts of identifiers as tokens.
+ *
+ * For example, Foo.barBaz() is indexed as foo.barbaz(), foo, barbaz, bar and baz.
+ * Each part has its own position, so it can be highlighted like any other word.
+ * The code field is always split this way, on the punctuation that can't be part of an identifier.
+ *
+ * @param {Object} lunr - The Lunr module
+ * @param {Object} tokenizer - The tokenizer configuration returned by resolveTokenizer
+ * @returns {Function} The tokenizer function
+ */
+function createTokenizer (lunr, { separator, splitIdentifiers }) {
+  const separatorRx = new RegExp(separator || lunr.tokenizer.separator.source, 'g')
+  return (obj, metadata) => {
+    if (obj == null || Array.isArray(obj)) return lunr.tokenizer(obj, metadata)
+    if (metadata && metadata.fields && metadata.fields.includes(CODE_FIELD)) {
+      return tokenize(lunr, obj.toString(), metadata, CODE_SEPARATOR_RX, true)
+    }
+    return tokenize(lunr, obj.toString(), metadata, separatorRx, splitIdentifiers)
+  }
+}
+
+function tokenize (lunr, str, metadata, separatorRx, splitIdentifiers) {
+  const tokens = []
+  const addToken = (start, end) => {
+    const tokenMetadata = lunr.utils.clone(metadata) || {}
+    tokenMetadata.position = [start, end - start]
+    tokenMetadata.index = tokens.length
+    tokens.push(new lunr.Token(str.slice(start, end).toLowerCase(), tokenMetadata))
+  }
+  const addWord = (start, end) => {
+    if (start === end) return
+    addToken(start, end)
+    if (!splitIdentifiers) return
+    for (const [offset, length] of splitIdentifier(str.slice(start, end))) {
+      addToken(start + offset, start + offset + length)
+    }
+  }
+  let start = 0
+  for (const { 0: match, index } of str.matchAll(separatorRx)) {
+    if (!match) continue
+    addWord(start, index)
+    start = index + match.length
+  }
+  addWord(start, str.length)
+  return tokens
+}
+
+// Returns the offset and length of each distinct part of the identifier, or nothing if it's a single word
+function splitIdentifier (word) {
+  const parts = new Map()
+  for (const { 0: segment, index } of word.matchAll(IDENTIFIER_SEGMENT_RX)) {
+    parts.set(segment.toLowerCase(), [index, segment.length])
+    for (const { 0: hump, index: humpIndex } of segment.matchAll(CAMEL_CASE_HUMP_RX)) {
+      if (hump.length !== segment.length) parts.set(hump.toLowerCase(), [index + humpIndex, hump.length])
+    }
+  }
+  parts.delete(word.toLowerCase())
+  return [...parts.values()].filter(([, length]) => length >= IDENTIFIER_PART_MIN_LENGTH)
+}
+
+/**
+ * Create the function that applies the stemmer to the words of a token, except in the unstemmed fields.
+ *
+ * When indexing, a token belongs to a single field.
+ * A query term is searched in several fields, so the function returns both the word and its stem
+ * if some of these fields are stemmed and some are not.
+ *
+ * @param {Function} stemmer - A stemmer pipeline function
+ * @param {Array<String>} unstemmedFields - The names of the fields whose words are indexed as is
+ * @returns {Function} The pipeline function
+ */
+function createFieldStemmer (stemmer, unstemmedFields) {
+  return (token, i, tokens) => {
+    const fields = token.metadata.fields || []
+    const stemmedFieldCount = fields.filter((name) => !unstemmedFields.includes(name)).length
+    if (stemmedFieldCount === fields.length) return stemmer(token, i, tokens)
+    if (!stemmedFieldCount) return token
+    return [token.clone(), stemmer(token.clone(), i, tokens)]
+  }
+}
+
+/**
+ * Apply the tokenizer configuration to the builder of an index.
+ *
+ * Like the stop word filter of Lunr, the stop words filter only applies when indexing,
+ * since Lunr fails to run a query with a required term that the search pipeline removes.
+ * The stemmers of the unstemmed fields are registered since the search pipeline is serialized with the index;
+ * the client registers functions with the same labels from the configuration in the store before loading the index.
+ *
+ * @param {lunr.Builder} builder - The builder of the index
+ * @param {Object} lunr - The Lunr module
+ * @param {Object} [tokenizer={}] - The tokenizer configuration returned by resolveTokenizer
+ */
+function useTokenizer (builder, lunr, tokenizer = {}) {
+  const { stopWords, unstemmedFields } = tokenizer
+  // the Japanese and Thai support comes with its own tokenizer
+  if (builder.tokenizer === lunr.tokenizer) {
+    builder.tokenizer = createTokenizer(lunr, tokenizer)
+  }
+  if (stopWords) {
+    const stopWordsFilter = registerFunction(lunr, lunr.generateStopWordFilter(stopWords), STOP_WORDS_FILTER_LABEL)
+    addBeforeStemmer(builder.pipeline, stopWordsFilter)
+  }
+  if (unstemmedFields) {
+    for (const pipeline of [builder.pipeline, builder.searchPipeline]) {
+      pipeline._stack
+        .filter(({ label }) => label && label.startsWith('stemmer'))
+        .forEach((stemmer) => {
+          const label = UNSTEMMED_FIELDS_LABEL_PREFIX + stemmer.label
+          pipeline.after(stemmer, registerFunction(lunr, createFieldStemmer(stemmer, unstemmedFields), label))
+          pipeline.remove(stemmer)
+        })
+    }
+  }
+}
+
+module.exports = {
+  resolveTokenizer,
+  useTokenizer,
+}
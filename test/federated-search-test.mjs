@@ -0,0 +1,54 @@
+/* eslint-env mocha */
+'use strict'
+
+import { createRequire } from 'module'
+import { groupResults, mergeResults } from '../data/js/federated-search.mjs'
+const require = createRequire(import.meta.url)
+const { expect } = require('./harness')
+
+describe('mergeResults()', () => {
+  const storeA = { name: 'a' }
+  const storeB = { name: 'b' }
+
+  it('should rank the results of all the modules by their score relative to the best score of all the modules', () => {
+    const results = mergeResults([
+      { store: storeA, result: [{ ref: '1', score: 8 }, { ref: '2', score: 2 }] },
+      { store: storeB, result: [{ ref: '1', score: 1.5 }, { ref: '2', score: 4 }] },
+    ])
+    expect(results.map(({ store, item }) => `${store.name}${item.ref}`)).to.eql(['a1', 'b2', 'a2', 'b1'])
+    expect(results.map(({ score }) => score)).to.eql([1, 0.5, 0.25, 0.1875])
+  })
+
+  it('should not rank the best result of a module with only weak results like the best result of another', () => {
+    const results = mergeResults([
+      { store: storeA, result: [{ ref: '1', score: 6 }, { ref: '2', score: 3 }] },
+      { store: storeB, result: [{ ref: '1', score: 0.5 }] },
+    ])
+    expect(results.map(({ store, item }) => `${store.name}${item.ref}`)).to.eql(['a1', 'a2', 'b1'])
+  })
+
+  it('should ignore the modules without results', () => {
+    const results = mergeResults([
+      { store: storeA, result: [] },
+      { store: storeB, result: [{ ref: '1', score: 0 }] },
+    ])
+    expect(results).to.eql([{ item: { ref: '1', score: 0 }, store: storeB, score: 0 }])
+  })
+})
+
+describe('groupResults()', () => {
+  it('should order the groups by their best result and keep the order of the results in each group', () => {
+    const results = [
+      { name: 'hello-1', group: 'hello' },
+      { name: 'acme-1', group: 'acme' },
+      { name: 'hello-2', group: 'hello' },
+      { name: 'acme-2', group: 'acme' },
+    ]
+    expect(groupResults(results, ({ group }) => group).map(({ name }) => name)).to.eql([
+      'hello-1',
+      'hello-2',
+      'acme-1',
+      'acme-2',
+    ])
+  })
+})
@@ -3,8 +3,11 @@
 
 const { buildContentCatalog, configureLogger, expect } = require('./harness')
 const lunr = require('lunr')
+const ospath = require('path')
+const pako = require('pako')
 
 const generateIndex = require('../lib/generate-index')
+const LevenshteinTrie = require('../lib/levenshtein_patricia_trie')
 const { htmlToMarkdown } = require('../lib/generate-index')
 
 describe('htmlToMarkdown()', () => {
@@ -193,6 +196,83 @@ describe('generateIndex()', () => {
     expect(index.store.trie.searchWithLevenshteinWithData('fao', 2), `this is the results ${index.store.trie.save()}`).to.have.lengthOf(1)
   })
 
+  it('should provide a trie of the vocabulary of the pages with the number of pages that contain each word', () => {
+    const contentCatalog = buildContentCatalog(playbook, [
+      {
+        contents: Buffer.from('<article class="doc"><h1>Install</h1><h2>Requirements</h2><p>Install Java 17 on the server.</p></article>'),
+        src: { component: 'hello', version: '1.0', relative: 'install.adoc' },
+      },
+      {
+        contents: Buffer.from('<article class="doc"><h1>Upgrade</h1><p>Stop the server.</p></article>'),
+        src: { component: 'hello', version: '1.0', relative: 'upgrade.adoc' },
+      },
+    ])
+    const index = generateIndex(playbook, contentCatalog)
+    const vocabulary = new LevenshteinTrie()
+    vocabulary.load(JSON.stringify(index.store.vocabulary))
+    const lookup = (word) => vocabulary.searchWithLevenshteinWithData(word, 0).map(({ data }) => data)
+    expect(lookup('install')).to.eql([[1]])
+    expect(lookup('requirements')).to.eql([[1]])
+    expect(lookup('server')).to.eql([[2]])
+    // numbers and words shorter than 3 characters are not in the vocabulary
+    expect(lookup('17')).to.be.empty()
+    expect(lookup('on')).to.be.empty()
+    expect(vocabulary.searchWithLevenshteinWithData('instal', 1).map(({ word }) => word)).to.include('install')
+  })
+
+  it('should limit the vocabulary to the words of the titles and the most frequent words of the text', () => {
+    const rareWords = Array.from({ length: 10000 }, (_, i) => `rare${i}`).join(' ')
+    const contentCatalog = buildContentCatalog(playbook, [
+      {
+        contents: Buffer.from(`<article class="doc"><h1>Install</h1><p>Start the server. ${rareWords}</p></article>`),
+        src: { component: 'hello', version: '1.0', relative: 'install.adoc' },
+      },
+      {
+        contents: Buffer.from('<article class="doc"><h1>Upgrade</h1><p>Stop the server.</p></article>'),
+        src: { component: 'hello', version: '1.0', relative: 'upgrade.adoc' },
+      },
+    ])
+    const index = generateIndex(playbook, contentCatalog)
+    const vocabulary = new LevenshteinTrie()
+    vocabulary.load(JSON.stringify(index.store.vocabulary))
+    const lookup = (word) => vocabulary.searchWithLevenshteinWithData(word, 0).map(({ data }) => data)
+    expect(vocabulary.searchWithLevenshteinWithData('rare0', 1)).to.not.be.empty()
+    expect(lookup('install')).to.eql([[1]])
+    expect(lookup('upgrade')).to.eql([[1]])
+    expect(lookup('server')).to.eql([[2]])
+    expect(lookup('the')).to.eql([[2]])
+    // 10,000 words at most: the title words, the words of both pages, then the other words in alphabetical order
+    expect(lookup('rare0')).to.eql([[1]])
+    expect(lookup('rare9999')).to.be.empty()
+    expect(lookup('start')).to.be.empty()
+  })
+
+  it('should provide a trie of the words of the titles and of the keywords to complete queries', () => {
+    const contentCatalog = buildContentCatalog(playbook, [
+      {
+        contents: Buffer.from('<article class="doc"><h1>Configuration</h1><h2>Configure the server</h2><p>Edit the file.</p></article>'),
+        src: { component: 'hello', version: '1.0', relative: 'configuration.adoc' },
+        asciidoc: { attributes: { keywords: 'configure-server, Config' } },
+      },
+      {
+        contents: Buffer.from('<article class="doc"><h1>Server</h1><p>Configure the proxy.</p></article>'),
+        src: { component: 'hello', version: '1.0', relative: 'server.adoc' },
+      },
+    ])
+    const index = generateIndex(playbook, contentCatalog)
+    const completions = new LevenshteinTrie()
+    completions.load(JSON.stringify(index.store.completions))
+    expect(completions.searchWithPrefix('conf').map(({ word }) => word).sort()).to.eql([
+      'config',
+      'configuration',
+      'configure',
+      'configure-server',
+    ])
+    expect(completions.searchWithPrefix('serv')).to.eql([{ word: 'server', data: [2] }])
+    // the words of the text are not completed
+    expect(completions.searchWithPrefix('edit')).to.be.empty()
+  })
+
   it('should use provided logger to log info message that search index is being built with languages', () => {
     const contentCatalog = buildContentCatalog(playbook, [
       {
@@ -284,8 +364,8 @@ describe('generateIndex()', () => {
     ).to.have.lengthOf(1)
     expect(
       index.index.search('docs as code'),
-      '"docs as code" is indexed two times'
-    ).to.have.lengthOf(2)
+      '"docs as code" is indexed once, in the section "Manage docs as code"'
+    ).to.have.lengthOf(1)
     expect(
       index.index.search('technical'),
       '"technical" is indexed'
@@ -766,6 +846,31 @@ describe('generateIndex()', () => {
     expect(index.index.search('spinnacle').length).to.equal(1)
   })
 
+  it('should store the versions of each component to scope the search by version', () => {
+    const contentCatalog = buildContentCatalog(playbook, [
+      {
+        contents: Buffer.from('<article class="doc"><p>foo</p></article>'),
+        src: { component: 'hello', version: '1.0' },
+      },
+      {
+        contents: Buffer.from('<article class="doc"><p>foo</p></article>'),
+        src: { component: 'hello', version: '2.0' },
+      },
+    ])
+    const index = generateIndex(playbook, contentCatalog)
+    expect(Object.keys(index.store.documents)).to.have.lengthOf(2)
+    expect(index.store.components).to.eql({
+      hello: {
+        title: 'hello',
+        latest: '2.0',
+        versions: [
+          { version: '2.0', displayVersion: '2.0' },
+          { version: '1.0', displayVersion: '1.0' },
+        ],
+      },
+    })
+  })
+
   it('should index section titles', () => {
     playbook.urls = { htmlExtensionStyle: 'indexify' }
     const contentCatalog = buildContentCatalog(playbook, [
@@ -837,7 +942,7 @@ describe('generateIndex()', () => {
     expect(searchResultItems[0].ref).to.equal('1-3')
     expect(index.store.documents['1'].url).to.equal('/hello/1.0/')
     const sectionTitles = index.store.documents['1'].titles
-    expect(sectionTitles).to.have.deep.members([
+    expect(sectionTitles.map(({ text, hash, id }) => ({ text, hash, id }))).to.have.deep.members([
       {
         text: 'Manage docs as code',
         hash: 'manage-docs-as-code',
@@ -864,6 +969,46 @@ describe('generateIndex()', () => {
     )
   })
 
+  it('should index the body of each section with the title of the section', () => {
+    const contentCatalog = buildContentCatalog(playbook, [
+      {
+        contents: Buffer.from(`
+          <article class="doc">
+            <h1 class="page">Server Guide</h1>
+            <div id="preamble"><div class="sectionbody"><p>An overview of the server.</p></div></div>
+            <div class="sect1">
+              <h2 id="_install">Install</h2>
+              <div class="sectionbody">
+                <div class="paragraph"><p>Download the archive.</p></div>
+                <div class="sect2">
+                  <h3 id="_verify">Verify</h3>
+                  <div class="paragraph"><p>Compare the checksum.</p></div>
+                </div>
+              </div>
+            </div>
+            <div class="sect1">
+              <h2 id="_empty_section">Empty section</h2>
+              <div class="sectionbody"></div>
+            </div>
+          </article>`),
+        src: { component: 'hello', version: '1.0' },
+      },
+    ])
+    const index = generateIndex(playbook, contentCatalog)
+    const doc = index.store.documents[1]
+    expect(doc.text).to.equal('An overview of the server. Download the archive. Compare the checksum.')
+    const sectionText = (hash) => {
+      const { start, end } = doc.titles.find((title) => title.hash === hash)
+      return doc.text.slice(start, end)
+    }
+    expect(sectionText('_install')).to.equal('Download the archive.')
+    expect(sectionText('_verify')).to.equal('Compare the checksum.')
+    expect(doc.titles.find((title) => title.hash === '_empty_section')).to.not.have.property('start')
+    expect(index.index.search('checksum').map(({ ref }) => ref)).to.eql(['1-2'])
+    expect(index.index.search('archive').map(({ ref }) => ref)).to.eql(['1-1'])
+    expect(index.index.search('overview').map(({ ref }) => ref)).to.eql(['1'])
+  })
+
   it('should index keywords', () => {
     playbook.urls = { htmlExtensionStyle: 'indexify' }
     const contentCatalog = buildContentCatalog(playbook, [
@@ -906,6 +1051,760 @@ describe('generateIndex()', () => {
     ).to.have.lengthOf(1)
   })
 
+  describe('Fields', () => {
+    const articleWithApiName = `
+      <article class="doc">
+        <h1 class="page">Connection Pool</h1>
+        <p>Configure the pool.</p>
+        <div class="cli"><code>poolctl resize</code></div>
+      </article>`
+
+    it('should index the default fields and expose them in the store', () => {
+      const contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from(articleWithApiName),
+          src: { component: 'hello', version: '1.0' },
+        },
+      ])
+      const index = generateIndex(playbook, contentCatalog)
+      expect(index.store.fields).to.eql([
+        { name: 'title', boost: 10 },
+        { name: 'name' },
+        { name: 'text' },
+        { name: 'component' },
+        { name: 'keyword', boost: 5 },
+        { name: 'code', boost: 0.5 },
+      ])
+      expect(index.index.fields).to.eql(['title', 'name', 'text', 'component', 'keyword', 'code'])
+    })
+
+    it('should index custom fields read from a page attribute, a CSS selector and a src property', () => {
+      const contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from(articleWithApiName),
+          src: { component: 'hello', version: '1.0', module: 'admin' },
+          asciidoc: { attributes: { 'page-api-name': 'ConnectionPoolManager' } },
+        },
+      ])
+      const fields = [
+        { name: 'api-name', attribute: 'page-api-name', boost: 3 },
+        { name: 'cli-command', selector: '.cli code' },
+        { name: 'module', src: 'module' },
+      ]
+      const index = generateIndex(playbook, contentCatalog, { fields })
+      const doc = index.store.documents[1]
+      expect(doc.customFields).to.eql({ 'api-name': 'ConnectionPoolManager', 'cli-command': 'poolctl resize', module: 'admin' })
+      expect(index.store.fields).to.deep.include.members([
+        { name: 'api-name', boost: 3 },
+        { name: 'cli-command' },
+        { name: 'module' },
+      ])
+      expect(index.index.search('connectionpoolmanager')).to.have.lengthOf(1)
+      expect(index.index.search('poolctl')).to.have.lengthOf(1)
+      expect(index.index.search('admin')).to.have.lengthOf(1)
+    })
+
+    it('should not let a custom field replace a property of the document', () => {
+      const contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from('<article class="doc"><h1>Install</h1><h2>Requirements</h2><p>Java 17.</p></article>'),
+          src: { component: 'hello', version: '1.0', relative: 'install.adoc' },
+          asciidoc: { attributes: { 'page-x': 'XX', 'page-edition': 'enterprise' } },
+        },
+      ])
+      const fields = [
+        { name: 'url', attribute: 'page-x' },
+        { name: 'titles', attribute: 'page-x' },
+        { name: 'version', attribute: 'page-edition' },
+      ]
+      const index = generateIndex(playbook, contentCatalog, { fields })
+      const doc = index.store.documents[1]
+      expect(doc).to.include({ id: 1, url: '/hello/1.0/install/', version: '1.0' })
+      expect(doc.titles).to.have.lengthOf(1)
+      expect(doc.customFields).to.eql({ url: 'XX', titles: 'XX', version: 'enterprise' })
+      expect(index.index.search('enterprise').map(({ ref }) => ref)).to.eql(['1'])
+      expect(index.index.search('java').map(({ ref }) => ref)).to.eql(['1-1'])
+    })
+
+    it('should allow the boost of a default field to be changed', () => {
+      const contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from(articleWithApiName),
+          src: { component: 'hello', version: '1.0' },
+        },
+      ])
+      const index = generateIndex(playbook, contentCatalog, { fields: [{ name: 'text', boost: 2 }] })
+      expect(index.store.fields.find(({ name }) => name === 'text')).to.eql({ name: 'text', boost: 2 })
+      expect(index.store.fields).to.have.lengthOf(6)
+    })
+
+    it('should use the fields of the global index in split indexes', () => {
+      const contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from(articleWithApiName),
+          src: { component: 'hello', version: '1.0' },
+          asciidoc: { attributes: { 'page-api-name': 'ConnectionPoolManager' } },
+        },
+      ])
+      const index = generateIndex(playbook, contentCatalog, { fields: [{ name: 'api-name', attribute: 'page-api-name' }] })
+      const [moduleFile] = generateIndex.createSplitIndexFiles(index)
+      const { lunrData } = JSON.parse(moduleFile.contents.toString())
+      const subset = JSON.parse(pako.inflate(Buffer.from(lunrData, 'base64'), { to: 'string' }))
+      expect(subset.store.fields).to.eql(index.store.fields)
+      expect(lunr.Index.load(subset.index).search('connectionpoolmanager')).to.have.lengthOf(1)
+    })
+
+    it('should reject invalid field definitions', () => {
+      const { resolveFields } = generateIndex
+      expect(() => resolveFields({ name: 'foo' })).to.throw('The fields option must be a list of field definitions')
+      expect(() => resolveFields([{ attribute: 'foo' }])).to.throw('Each entry in the fields option must specify a name')
+      expect(() => resolveFields([{ name: 'foo' }])).to.throw('Field foo must specify one of: attribute, selector, src')
+      expect(() => resolveFields([{ name: 'foo', attribute: 'foo', selector: '.foo' }])).to.throw('Field foo must specify only one of')
+      expect(() => resolveFields([{ name: 'foo', src: 'module', boost: -1 }])).to.throw('The boost of field foo must be a positive number')
+      expect(() => resolveFields([{ name: 'title', selector: 'h1' }])).to.throw('Cannot change the source of built-in field title')
+      expect(() => resolveFields([{ name: 'id', attribute: 'page-x' }])).to.throw('Field id is reserved')
+    })
+  })
+
+  describe('Facets', () => {
+    it('should store the values of the facet attributes on each document', () => {
+      const contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from('<article class="doc"><h1>Install</h1><p>foo</p></article>'),
+          src: { component: 'hello', version: '1.0', relative: 'install.adoc' },
+          asciidoc: { attributes: { 'page-audience': 'admin', 'page-platform': 'linux, macos' } },
+        },
+        {
+          contents: Buffer.from('<article class="doc"><h1>Usage</h1><p>bar</p></article>'),
+          src: { component: 'hello', version: '1.0', relative: 'usage.adoc' },
+          asciidoc: { attributes: { 'page-audience': 'developer' } },
+        },
+      ])
+      const facets = ['page-audience', 'page-platform', 'page-product-tier']
+      const index = generateIndex(playbook, contentCatalog, { facets })
+      expect(index.store.facets).to.eql(facets)
+      const docs = Object.values(index.store.documents)
+      expect(docs.find(({ name }) => name === 'install').facets).to.eql({
+        'page-audience': ['admin'],
+        'page-platform': ['linux', 'macos'],
+      })
+      expect(docs.find(({ name }) => name === 'usage').facets).to.eql({ 'page-audience': ['developer'] })
+      expect(index.index.search('admin'), 'facet values are not indexed').to.be.empty()
+    })
+
+    it('should not store facets on documents when the facets option is not set', () => {
+      const contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from('<article class="doc"><p>foo</p></article>'),
+          src: { component: 'hello', version: '1.0' },
+          asciidoc: { attributes: { 'page-audience': 'admin' } },
+        },
+      ])
+      const index = generateIndex(playbook, contentCatalog)
+      expect(index.store.facets).to.eql([])
+      expect(index.store.documents[1]).to.not.have.property('facets')
+    })
+
+    it('should reject facets that are not a list of attribute names', () => {
+      expect(() => generateIndex.resolveFacets('page-audience')).to.throw('The facets option must be a list of page attribute names')
+      expect(() => generateIndex.resolveFacets([{ name: 'page-audience' }])).to.throw('The facets option must be a list of page attribute names')
+    })
+  })
+
+  describe('Selectors', () => {
+    const article = `
+      <article class="doc">
+        <h1 class="page">Configure the Server</h1>
+        <div id="preamble"><p>Edit the configuration file.</p></div>
+        <div class="admonitionblock internal"><p>Ask the platform team before restarting.</p></div>
+        <div class="sect1">
+          <h2 id="_options">Options</h2>
+          <div class="sectionbody">
+            <div class="paragraph"><p>Set the port.</p></div>
+            <div class="colist"><ol><li>The port number</li></ol></div>
+          </div>
+        </div>
+        <div class="sect1 internal">
+          <h2 id="_internals">Internals</h2>
+          <div class="sectionbody"><p>Restart the pod.</p></div>
+        </div>
+      </article>`
+
+    it('should not index the elements that match the exclude selectors', () => {
+      const contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from(article),
+          src: { component: 'hello', version: '1.0' },
+        },
+      ])
+      const index = generateIndex(playbook, contentCatalog, { excludeSelectors: ['.internal', '.colist'] })
+      const doc = index.store.documents[1]
+      expect(doc.title).to.equal('Configure the Server')
+      expect(doc.text).to.equal('Edit the configuration file. Set the port.')
+      expect(doc.html).to.not.include('platform team')
+      expect(doc.titles.map(({ text }) => text)).to.eql(['Options'])
+      expect(index.index.search('restart')).to.be.empty()
+    })
+
+    it('should only index the elements that match the include selectors', () => {
+      const contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from(article),
+          src: { component: 'hello', version: '1.0' },
+        },
+      ])
+      const index = generateIndex(playbook, contentCatalog, {
+        includeSelectors: ['.sect1', '.paragraph'],
+        excludeSelectors: '.internal',
+      })
+      const doc = index.store.documents[1]
+      expect(doc.title).to.equal('Configure the Server')
+      expect(doc.text).to.equal('Set the port. The port number')
+      expect(doc.titles.map(({ text }) => text)).to.eql(['Options'])
+      expect(index.index.search('edit')).to.be.empty()
+    })
+
+    it('should apply the selectors to the markdown export', () => {
+      const contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from(article),
+          src: { component: 'hello', version: '1.0' },
+        },
+      ])
+      const index = generateIndex(playbook, contentCatalog, { excludeSelectors: ['.internal'] })
+      const [markdownFile] = generateIndex.createMarkdownIndexFile(index)
+      const markdown = markdownFile.contents.toString()
+      expect(markdown).to.include('Set the port.')
+      expect(markdown).to.not.include('platform team')
+      expect(markdown).to.not.include('Restart the pod.')
+    })
+
+    it('should reject invalid selectors', () => {
+      const { resolveSelectors } = generateIndex
+      expect(resolveSelectors('.internal', 'excludeSelectors')).to.eql(['.internal'])
+      expect(() => resolveSelectors([42], 'excludeSelectors')).to.throw('The excludeSelectors option must be a list of CSS selectors')
+      expect(() => resolveSelectors(['div[['], 'includeSelectors')).to.throw('Invalid CSS selector in includeSelectors option: div[[')
+    })
+  })
+
+  describe('Storage', () => {
+    const article = `
+      <article class="doc">
+        <h1 class="page">Configure the Server</h1>
+        <div id="preamble"><p>${'Edit the configuration file. '.repeat(10)}</p></div>
+        <div class="sect1">
+          <h2 id="_options">Options</h2>
+          <div class="sectionbody"><p>${'Set the port. '.repeat(10)}</p><p>Restart the server.</p></div>
+        </div>
+        <div class="sect1">
+          <h2 id="_logging">Logging</h2>
+          <div class="sectionbody"><p>Set the <strong>log level</strong>.</p></div>
+        </div>
+      </article>`
+
+    it('should store the full text and HTML by default', () => {
+      const contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from(article),
+          src: { component: 'hello', version: '1.0' },
+        },
+      ])
+      const index = generateIndex(playbook, contentCatalog)
+      const doc = index.store.documents[1]
+      expect(doc.html).to.include('<strong>log level</strong>')
+      expect(doc.text).to.include('Restart the server.')
+      expect(doc).to.equal(index.documents[0])
+    })
+
+    it('should truncate the text of each section and drop the HTML in compact mode', () => {
+      const contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from(article),
+          src: { component: 'hello', version: '1.0' },
+        },
+      ])
+      const index = generateIndex(playbook, contentCatalog, { storage: 'compact', storedTextLength: 40 })
+      const doc = index.store.documents[1]
+      expect(doc).to.not.have.property('html')
+      expect(doc.text).to.equal('Edit the configuration file. Edit the Set the port. Set the port. Set the Set the log level.')
+      const [options, logging] = doc.titles
+      expect(doc.text.slice(options.start, options.end)).to.equal('Set the port. Set the port. Set the')
+      expect(doc.text.slice(logging.start, logging.end)).to.equal('Set the log level.')
+      // the index is still built from the full text
+      expect(index.index.search('restart').map(({ ref }) => ref)).to.eql(['1-1'])
+      expect(index.documents[0].html).to.include('<strong>log level</strong>')
+    })
+
+    it('should not serialize the HTML into the index files in compact mode', () => {
+      const contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from(article),
+          src: { component: 'hello', version: '1.0' },
+        },
+      ])
+      const index = generateIndex(playbook, contentCatalog, { storage: 'compact', storedTextLength: 40 })
+      const inflate = (data) => JSON.parse(pako.inflate(Buffer.from(data, 'base64'), { to: 'string' }))
+      const [indexFile, moduleFile] = [generateIndex.createIndexFile(index), ...generateIndex.createSplitIndexFiles(index)]
+      const { store } = inflate(indexFile.contents.toString().match(/initSearch\(lunr, '([^']+)'/)[1])
+      expect(store.documents[1]).to.not.have.property('html')
+      expect(store.documents[1].text).to.equal(index.store.documents[1].text)
+      const subset = inflate(JSON.parse(moduleFile.contents).lunrData)
+      expect(subset.store.documents[1]).to.not.have.property('html')
+      expect(subset.store.documents[1].text).to.equal(index.store.documents[1].text)
+      expect(subset.index.invertedIndex.map(([term]) => term)).to.include('restart')
+    })
+
+    it('should still export the full HTML to markdown in compact mode', () => {
+      const contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from(article),
+          src: { component: 'hello', version: '1.0' },
+        },
+      ])
+      const index = generateIndex(playbook, contentCatalog, { storage: 'compact', storedTextLength: 40 })
+      const [markdownFile] = generateIndex.createMarkdownIndexFile(index)
+      const markdown = markdownFile.contents.toString()
+      expect(markdown).to.include('Restart the server.')
+      expect(markdown).to.include('**log level**')
+    })
+
+    it('should reject an invalid storage configuration', () => {
+      const { resolveStorage } = generateIndex
+      expect(resolveStorage()).to.eql({ mode: 'full', storedTextLength: 1000 })
+      expect(() => resolveStorage('tiny')).to.throw('The storage option must be one of: full, compact')
+      expect(() => resolveStorage('compact', 0)).to.throw('The storedTextLength option must be a positive integer')
+    })
+  })
+
+  describe('Binary encoding', () => {
+    let index
+
+    beforeEach(() => {
+      const contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from('<article class="doc"><h1>Install</h1><h2 id="_requirements">Requirements</h2><p>Install Java.</p></article>'),
+          src: { component: 'hello', version: '1.0', relative: 'install.adoc' },
+        },
+        {
+          contents: Buffer.from('<article class="doc"><h1>Users</h1><p>Manage users.</p></article>'),
+          src: { component: 'hello', version: '1.0', module: 'admin', relative: 'users.adoc' },
+        },
+      ])
+      index = generateIndex(playbook, contentCatalog)
+    })
+
+    it('should write the deflated index to a content-hashed binary file', () => {
+      const indexFile = generateIndex.createBinaryIndexFile(index)
+      expect(indexFile.mediaType).to.equal('application/octet-stream')
+      expect(indexFile.out.path).to.match(/^search-index\.[0-9a-f]{16}\.bin$/)
+      expect(indexFile.pub.url).to.equal(`/${indexFile.out.path}`)
+      const data = JSON.parse(pako.inflate(indexFile.contents, { to: 'string' }))
+      expect(data.store.documents['1'].title).to.equal('Install')
+      expect(data.store).to.not.have.property('trie')
+      expect(data.trie).to.eql(JSON.parse(index.store.trie.save()))
+      expect(lunr.Index.load(data.index).search('java').map(({ ref }) => ref)).to.eql(['1-1'])
+      expect(generateIndex.createBinaryIndexFile(index).out.path).to.equal(indexFile.out.path)
+    })
+
+    it('should write binary split index files and reference them in the manifest', () => {
+      const indexFile = generateIndex.createBinaryIndexFile(index)
+      const files = generateIndex.createSplitIndexFiles(index, { encoding: 'binary', indexFile })
+      const manifestFile = files.pop()
+      expect(manifestFile.out.path).to.equal('search-index/manifest.json')
+      const manifest = JSON.parse(manifestFile.contents)
+      expect(manifest.encoding).to.equal('binary')
+      expect(manifest.index.url).to.equal(indexFile.pub.url)
+      expect(manifest.modules.map(({ url }) => url)).to.eql(files.map((file) => file.pub.url))
+      expect(files.map((file) => file.out.path)).to.satisfy((paths) =>
+        paths.every((it) => /^search-index\/modules\/hello-(root|admin)-[0-9a-f]{8}\.[0-9a-f]{16}\.bin$/.test(it)))
+      const data = JSON.parse(pako.inflate(files[1].contents, { to: 'string' }))
+      expect(data).to.include({ id: manifest.modules[1].id, component: 'hello', module: 'admin' })
+      expect(data.id).to.match(/^hello-admin-[0-9a-f]{8}$/)
+      expect(manifest.modules[1].hash).to.have.string(files[1].out.path.split('.')[1])
+      expect(lunr.Index.load(data.index).search('users')).to.have.lengthOf(1)
+      const vocabulary = new LevenshteinTrie()
+      vocabulary.load(JSON.stringify(data.store.vocabulary))
+      expect(vocabulary.searchWithLevenshteinWithData('users', 0)).to.have.lengthOf(1)
+      expect(vocabulary.searchWithLevenshteinWithData('java', 0)).to.be.empty()
+    })
+
+    it('should not reference a binary index file in the manifest by default', () => {
+      const manifest = JSON.parse(generateIndex.createSplitIndexFiles(index).pop().contents)
+      expect(manifest.encoding).to.equal('base64')
+      expect(manifest).to.not.have.property('index')
+    })
+
+    it('should reject an invalid encoding', () => {
+      expect(generateIndex.resolveIndexEncoding()).to.equal('base64')
+      expect(() => generateIndex.resolveIndexEncoding('gzip')).to.throw('The indexEncoding option must be one of: base64, binary')
+    })
+
+    it('should reject an invalid index format', () => {
+      expect(generateIndex.resolveIndexFormat()).to.equal('both')
+      expect(generateIndex.resolveIndexFormat('split')).to.equal('split')
+      expect(() => generateIndex.resolveIndexFormat('modular')).to.throw(
+        'The indexFormat option must be one of: monolithic, split, both'
+      )
+    })
+  })
+
+  describe('Split', () => {
+    let index
+
+    const readManifest = (files) => JSON.parse(files[files.length - 1].contents)
+    // the id of a split index file ends with a hash of its scopes
+    const stripScopesHash = (id) => id.replace(/-[0-9a-f]{8}(?=\.json$|$)/, '')
+
+    beforeEach(() => {
+      const contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from('<article class="doc"><h1>Install</h1><p>Install Java.</p></article>'),
+          src: { component: 'hello', version: '1.0', relative: 'install.adoc' },
+        },
+        {
+          contents: Buffer.from('<article class="doc"><h1>Users</h1><p>Manage users.</p></article>'),
+          src: { component: 'hello', version: '1.0', module: 'admin', relative: 'users.adoc' },
+        },
+        {
+          contents: Buffer.from('<article class="doc"><h1>Install</h1><p>Install Java 21.</p></article>'),
+          src: { component: 'hello', version: '2.0', relative: 'install.adoc' },
+        },
+        {
+          contents: Buffer.from('<article class="doc"><h1>Deploy</h1><p>Deploy the app.</p></article>'),
+          src: { component: 'acme', version: '1.0', relative: 'deploy.adoc' },
+        },
+      ])
+      index = generateIndex(playbook, contentCatalog)
+    })
+
+    it('should split the index per component and module by default', () => {
+      const files = generateIndex.createSplitIndexFiles(index)
+      const manifest = readManifest(files)
+      expect(manifest.split).to.equal('module')
+      expect(manifest.modules.map(({ id, docs }) => `${stripScopesHash(id)}:${docs}`)).to.eql([
+        'hello-root:2',
+        'hello-admin:1',
+        'acme-root:1',
+      ])
+      expect(manifest.modules[0]).to.include({ component: 'hello', module: 'ROOT' })
+      expect(manifest.modules[0].scopes).to.eql([{ component: 'hello', module: 'ROOT' }])
+      expect(JSON.parse(files[0].contents)).to.include({ id: manifest.modules[0].id, component: 'hello', module: 'ROOT' })
+      expect(files[0].out.path).to.equal(`search-index/modules/${manifest.modules[0].id}.json`)
+    })
+
+    it('should split the index per component version', () => {
+      const files = generateIndex.createSplitIndexFiles(index, { split: generateIndex.resolveSplit('component-version') })
+      const manifest = readManifest(files)
+      expect(manifest.split).to.equal('component-version')
+      expect(files.slice(0, -1).map((file) => stripScopesHash(file.out.path))).to.eql([
+        'search-index/modules/hello-1-0.json',
+        'search-index/modules/hello-2-0.json',
+        'search-index/modules/acme-1-0.json',
+      ])
+      expect(manifest.modules[1]).to.include({ component: 'hello', version: '2.0', docs: 1 })
+      expect(manifest.modules[1].scopes).to.eql([{ component: 'hello', version: '2.0' }])
+    })
+
+    it('should split the index per component', () => {
+      const manifest = readManifest(generateIndex.createSplitIndexFiles(index, { split: generateIndex.resolveSplit('component') }))
+      expect(manifest.modules.map(({ id, docs }) => `${stripScopesHash(id)}:${docs}`)).to.eql(['hello:3', 'acme:1'])
+      expect(manifest.modules[0].scopes).to.eql([{ component: 'hello' }])
+    })
+
+    it('should pack the modules into files of up to the target size', () => {
+      const files = generateIndex.createSplitIndexFiles(index, { split: generateIndex.resolveSplit('size', 1024 * 1024) })
+      const manifest = readManifest(files)
+      expect(manifest.split).to.equal('size')
+      expect(manifest.modules).to.have.lengthOf(1)
+      expect(manifest.modules[0]).to.include({ docs: 4 }).and.not.have.property('component')
+      expect(stripScopesHash(manifest.modules[0].id)).to.equal('hello-1-0-root')
+      expect(manifest.modules[0].scopes).to.eql([
+        { component: 'hello', version: '1.0', module: 'ROOT' },
+        { component: 'hello', version: '1.0', module: 'admin' },
+        { component: 'hello', version: '2.0', module: 'ROOT' },
+        { component: 'acme', version: '1.0', module: 'ROOT' },
+      ])
+      const subset = JSON.parse(pako.inflate(Buffer.from(JSON.parse(files[0].contents).lunrData, 'base64'), { to: 'string' }))
+      expect(lunr.Index.load(subset.index).search('java')).to.have.lengthOf(2)
+    })
+
+    it('should keep the file of each module that exceeds the target size', () => {
+      const manifest = readManifest(generateIndex.createSplitIndexFiles(index, { split: generateIndex.resolveSplit('size', 1) }))
+      expect(manifest.modules.map(({ id }) => stripScopesHash(id))).to.eql([
+        'hello-1-0-root',
+        'hello-1-0-admin',
+        'hello-2-0-root',
+        'acme-1-0-root',
+      ])
+      expect(manifest.modules[1]).to.include({ component: 'hello', version: '1.0', module: 'admin' })
+    })
+
+    it('should not pack the modules into a file that exceeds the target size once built', () => {
+      for (let size = 500; size <= 5000; size += 250) {
+        const files = generateIndex.createSplitIndexFiles(index, { split: generateIndex.resolveSplit('size', size) })
+        const manifest = readManifest(files)
+        expect(manifest.modules.map(({ docs }) => docs).reduce((total, docs) => total + docs)).to.equal(4)
+        manifest.modules.forEach(({ scopes }, idx) => {
+          if (scopes.length > 1) expect(files[idx].contents.length).to.be.at.most(size)
+        })
+      }
+    })
+
+    it('should give a distinct id to the files of scopes with the same safe name', () => {
+      const contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from('<article class="doc"><h1>Install</h1><p>Install Java 17.</p></article>'),
+          src: { component: 'hello', version: '1.0', relative: 'install.adoc' },
+        },
+        {
+          contents: Buffer.from('<article class="doc"><h1>Install</h1><p>Install Java 21.</p></article>'),
+          src: { component: 'hello', version: '1-0', relative: 'install.adoc' },
+        },
+      ])
+      const split = generateIndex.resolveSplit('component-version')
+      const files = generateIndex.createSplitIndexFiles(generateIndex(playbook, contentCatalog), { split })
+      const manifest = readManifest(files)
+      const ids = manifest.modules.map(({ id }) => id)
+      expect(ids.map(stripScopesHash)).to.eql(['hello-1-0', 'hello-1-0'])
+      expect(new Set(ids).size).to.equal(2)
+      expect(new Set(files.map((file) => file.out.path)).size).to.equal(3)
+    })
+
+    it('should only create the manifest when the index is not split', () => {
+      const files = generateIndex.createSplitIndexFiles(index, { split: generateIndex.resolveSplit('none') })
+      expect(files).to.have.lengthOf(1)
+      expect(readManifest(files)).to.include({ split: 'none' }).and.have.property('modules').that.is.empty()
+    })
+
+    it('should reject an invalid split mode or size', () => {
+      expect(generateIndex.resolveSplit()).to.eql({ mode: 'module', size: 256 * 1024 })
+      expect(() => generateIndex.resolveSplit('page')).to.throw(
+        'The split option must be one of: none, component, component-version, module, size'
+      )
+      expect(() => generateIndex.resolveSplit('size', 0)).to.throw('The splitSize option must be a positive number of bytes')
+      expect(() => generateIndex.resolveSplit('module', 1024)).to.throw(
+        'The splitSize option can only be set when the split option is size'
+      )
+    })
+  })
+
+  describe('Synonyms', () => {
+    let contentCatalog
+
+    beforeEach(() => {
+      contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from('<article class="doc"><h1>Deploy</h1><p>Deploy the app to Kubernetes.</p></article>'),
+          src: { component: 'hello', version: '1.0', relative: 'deploy.adoc' },
+        },
+        {
+          contents: Buffer.from('<article class="doc"><h1>Sign in</h1><p>Configure the authn provider.</p></article>'),
+          src: { component: 'hello', version: '1.0', module: 'admin', relative: 'sign-in.adoc' },
+        },
+      ])
+    })
+
+    it('should find the pages that contain a term or any of its synonyms', () => {
+      const synonyms = { kubernetes: 'k8s', authentication: ['authn', 'auth'] }
+      const index = generateIndex(playbook, contentCatalog, { synonyms })
+      expect(index.index.search('k8s').map(({ ref }) => ref)).to.eql(['1'])
+      expect(index.index.search('authentication').map(({ ref }) => ref)).to.eql(['2'])
+      expect(index.index.search('auth').map(({ ref }) => ref)).to.eql(['2'])
+      expect(index.store.synonyms).to.eql({ k8s: 'kubernetes', authn: 'authentication', auth: 'authentication' })
+    })
+
+    it('should serialize the synonyms filter with the index and the synonyms with each split index', () => {
+      const index = generateIndex(playbook, contentCatalog, { synonyms: { kubernetes: 'k8s' } })
+      const data = JSON.parse(pako.inflate(generateIndex.createBinaryIndexFile(index).contents, { to: 'string' }))
+      expect(data.index.pipeline).to.eql(['synonyms', 'stemmer'])
+      expect(lunr.Index.load(data.index).search('k8s')).to.have.lengthOf(1)
+      const moduleFile = generateIndex.createSplitIndexFiles(index, { encoding: 'binary' })[0]
+      const moduleData = JSON.parse(pako.inflate(moduleFile.contents, { to: 'string' }))
+      expect(moduleData.store.synonyms).to.eql({ k8s: 'kubernetes' })
+      expect(lunr.Index.load(moduleData.index).search('k8s')).to.have.lengthOf(1)
+    })
+
+    it('should read the synonyms from a file relative to the playbook directory', () => {
+      playbook.dir = ospath.join(__dirname, 'fixtures', 'synonyms')
+      const index = generateIndex(playbook, contentCatalog, { synonyms: 'synonyms.yml' })
+      expect(index.index.search('kube').map(({ ref }) => ref)).to.eql(['1'])
+    })
+
+    it('should not add the synonyms filter when there are no synonyms', () => {
+      const index = generateIndex(playbook, contentCatalog)
+      expect(index.index.pipeline.toJSON()).to.eql(['stemmer'])
+      expect(index.store).to.not.have.property('synonyms')
+    })
+  })
+
+  describe('Listings', () => {
+    let contentCatalog
+
+    beforeEach(() => {
+      contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from(`<article class="doc">
+            <h1>Client</h1>
+            <p>Create a client.</p>
+            <div class="listingblock"><div class="content"><pre class="highlight"><code>const client = new Client()</code></pre></div></div>
+            <h2 id="_connect">Connect</h2>
+            <p>Open a connection to the server.</p>
+            <div class="listingblock"><div class="content"><pre class="highlight"><code>client.openConnection({ host: 'localhost' })
+client.setTimeout(30)</code></pre></div></div>
+            <p>The connection is closed when the client exits.</p>
+          </article>`),
+          src: { component: 'hello', version: '1.0', relative: 'client.adoc' },
+        },
+      ])
+    })
+
+    it('should index the content of each listing in the code field of its section instead of the text', () => {
+      const index = generateIndex(playbook, contentCatalog)
+      const doc = index.documents[0]
+      expect(doc.text).to.equal(
+        'Create a client. Open a connection to the server. The connection is closed when the client exits.'
+      )
+      expect(doc.listings).to.eql([
+        { text: 'const client = new Client()' },
+        { text: "client.openConnection({ host: 'localhost' })\nclient.setTimeout(30)", section: 1 },
+      ])
+      expect(index.index.search('code:localhost').map(({ ref }) => ref)).to.eql(['1-1'])
+      expect(index.index.search('code:const').map(({ ref }) => ref)).to.eql(['1'])
+      expect(index.index.search('text:localhost')).to.be.empty()
+    })
+
+    it('should split the identifiers of the code', () => {
+      const index = generateIndex(playbook, contentCatalog)
+      expect(index.index.search('code:settimeout').map(({ ref }) => ref)).to.eql(['1-1'])
+      expect(index.index.search('code:timeout').map(({ ref }) => ref)).to.eql(['1-1'])
+      expect(index.index.search('code:openconnection').map(({ ref }) => ref)).to.eql(['1-1'])
+    })
+
+    it('should rank a match in the text above a match in the code', () => {
+      const index = generateIndex(playbook, contentCatalog)
+      expect(index.index.search('client').map(({ ref }) => ref)[0]).to.not.equal('1-1')
+    })
+
+    it('should keep the listings in the HTML of the page', () => {
+      const index = generateIndex(playbook, contentCatalog)
+      expect(index.documents[0].html).to.include('<pre class="highlight"><code>client.openConnection(')
+      expect(index.documents[0].html).to.include('<p>Open a connection to the server.</p>')
+    })
+
+    it('should truncate the stored listings in compact mode', () => {
+      const index = generateIndex(playbook, contentCatalog, { storage: 'compact', storedTextLength: 30 })
+      expect(index.store.documents[1].listings[1].text).to.equal('client.openConnection({ host:')
+      expect(index.index.search('code:settimeout')).to.have.lengthOf(1)
+    })
+  })
+
+  describe('Tokenizer', () => {
+    let contentCatalog
+
+    beforeEach(() => {
+      contentCatalog = buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from('<article class="doc"><h1>Connections</h1><p>Please set max_connections.</p></article>'),
+          src: { component: 'hello', version: '1.0', relative: 'connections.adoc' },
+        },
+        {
+          contents: Buffer.from('<article class="doc"><h1>Client</h1><p>Call Client.openConnection().</p></article>'),
+          src: { component: 'hello', version: '1.0', module: 'api', relative: 'client.adoc' },
+        },
+      ])
+    })
+
+    it('should split identifiers, leave out stop words and not stem the unstemmed fields', () => {
+      const index = generateIndex(playbook, contentCatalog, {
+        stopWords: ['please'],
+        splitIdentifiers: true,
+        unstemmedFields: ['title'],
+      })
+      expect(index.index.search('connection').map(({ ref }) => ref).sort()).to.eql(['1', '2'])
+      expect(index.index.search('openconnection').map(({ ref }) => ref)).to.eql(['2'])
+      expect(index.index.search('title:connections').map(({ ref }) => ref)).to.eql(['1'])
+      expect(index.index.search('title:connect')).to.be.empty()
+      expect(index.index.invertedIndex).to.not.have.property('pleas')
+      expect(index.store.tokenizer).to.eql({ stopWords: ['please'], splitIdentifiers: true, unstemmedFields: ['title'] })
+    })
+
+    it('should apply the tokenizer configuration to the split indexes', () => {
+      const index = generateIndex(playbook, contentCatalog, { splitIdentifiers: true, unstemmedFields: ['title'] })
+      const moduleFile = generateIndex.createSplitIndexFiles(index, { encoding: 'binary' })[1]
+      const moduleData = JSON.parse(pako.inflate(moduleFile.contents, { to: 'string' }))
+      expect(moduleData.store.tokenizer).to.eql(index.store.tokenizer)
+      expect(moduleData.index.pipeline).to.eql(['unstemmedFields-stemmer'])
+      expect(lunr.Index.load(moduleData.index).search('openconnection')).to.have.lengthOf(1)
+    })
+
+    it('should reject an unstemmed field that is not indexed', () => {
+      expect(() => generateIndex(playbook, contentCatalog, { unstemmedFields: ['api'] })).to.throw(
+        'The unstemmedFields option must only contain the names of indexed fields: api'
+      )
+    })
+  })
+
+  describe('Boosts', () => {
+    const createContentCatalog = (attributes = {}) =>
+      buildContentCatalog(playbook, [
+        {
+          contents: Buffer.from('<article class="doc"><h1>Release notes</h1><p>Configure the server.</p></article>'),
+          src: { component: 'hello', version: '1.0', relative: 'release-notes.adoc' },
+        },
+        {
+          contents: Buffer.from('<article class="doc"><h1>Settings</h1><h2>Server</h2><p>Configure the server.</p></article>'),
+          src: { component: 'reference', version: '2.0', module: 'api', relative: 'settings.adoc' },
+          asciidoc: { attributes },
+        },
+      ])
+    const search = (index, query) => index.index.search(query).map(({ ref }) => ref)
+
+    it('should boost the pages of a component, component version or module', () => {
+      const contentCatalog = createContentCatalog()
+      expect(search(generateIndex(playbook, contentCatalog), 'configure')[0]).to.equal('1')
+      for (const key of ['reference', 'reference/2.0', 'reference::api']) {
+        const index = generateIndex(playbook, contentCatalog, { boost: { [key]: 5 } })
+        expect(search(index, 'configure')).to.eql(['2-1', '1'])
+        expect(index.store.documents[2].boost).to.equal(5)
+        expect(index.store.documents[1]).to.not.have.property('boost')
+      }
+    })
+
+    it('should multiply the boosts that apply to a page, including the page-search-boost attribute', () => {
+      const contentCatalog = createContentCatalog({ 'page-search-boost': '1.5' })
+      const index = generateIndex(playbook, contentCatalog, { boost: { reference: 2, 'reference/2.0': 3, hello: 0.5 } })
+      expect(index.store.documents[1].boost).to.equal(0.5)
+      expect(index.store.documents[2].boost).to.equal(9)
+    })
+
+    it('should apply the boosts in the split indexes', () => {
+      const readModuleIndex = (index) => {
+        const moduleFile = generateIndex.createSplitIndexFiles(index, { encoding: 'binary' })[1]
+        return JSON.parse(pako.inflate(moduleFile.contents, { to: 'string' }))
+      }
+      const getFieldVector = ({ index }) => index.fieldVectors.find(([ref]) => ref === 'title/1')[1]
+      const boosted = readModuleIndex(generateIndex(playbook, createContentCatalog({ 'page-search-boost': '4' })))
+      const unboosted = readModuleIndex(generateIndex(playbook, createContentCatalog()))
+      expect(boosted.store.documents[1].boost).to.equal(4)
+      expect(getFieldVector(boosted)[1]).to.be.closeTo(getFieldVector(unboosted)[1] * 4, 0.01)
+    })
+
+    it('should ignore an invalid page-search-boost attribute with a warning', () => {
+      const warnings = []
+      const logger = { info: () => undefined, warn: (...args) => warnings.push(args) }
+      const index = generateIndex(playbook, createContentCatalog({ 'page-search-boost': 'high' }), { logger })
+      expect(index.store.documents[2]).to.not.have.property('boost')
+      expect(warnings).to.have.lengthOf(1)
+      expect(warnings[0][1]).to.equal('/reference/2.0/api/settings/')
+    })
+
+    it('should reject an invalid boost option', () => {
+      expect(() => generateIndex.resolveBoosts(['reference'])).to.throw('The boost option must be a map')
+      expect(() => generateIndex.resolveBoosts({ reference: '2' })).to.throw('The boost of reference must be a positive number')
+      expect(() => generateIndex.resolveBoosts({ reference: 0 })).to.throw('The boost of reference must be a positive number')
+    })
+  })
+
   describe('Paths', () => {
     it('should use relative links when site URL is not defined', () => {
       delete playbook.site.url
@@ -0,0 +1,246 @@
+/* eslint-env mocha */
+'use strict'
+
+const { buildContentCatalog, expect } = require('./harness')
+const pako = require('pako')
+
+const generateIndex = require('../lib/generate-index')
+const {
+  checkIndexSize,
+  createIndexReport,
+  createIndexReportFile,
+  formatIndexReport,
+  formatSizeViolation,
+  parseSize,
+  resolveReportConfig,
+  resolveStrict,
+} = require('../lib/index-report')
+
+describe('createIndexReport()', () => {
+  let playbook
+  let index
+
+  beforeEach(() => {
+    playbook = {
+      site: {
+        url: 'https://docs.example.org',
+      },
+      urls: {
+        htmlExtensionStyle: 'indexify',
+      },
+    }
+    const contentCatalog = buildContentCatalog(playbook, [
+      {
+        contents: Buffer.from('<article class="doc"><h1>Install</h1><p>Install the server.</p></article>'),
+        src: { component: 'hello', version: '1.0', relative: 'install.adoc' },
+      },
+      {
+        contents: Buffer.from(`<article class="doc"><h1>Configure</h1><p>${'Configure the server. '.repeat(50)}</p></article>`),
+        src: { component: 'hello', version: '1.0', relative: 'configure.adoc' },
+      },
+      {
+        contents: Buffer.from('<article class="doc"><h1>Admin</h1><p>Manage users.</p></article>'),
+        src: { component: 'hello', version: '1.0', module: 'admin', relative: 'users.adoc' },
+      },
+      {
+        contents: Buffer.from('<article class="doc"><h1>Install</h1><p>Install the server.</p></article>'),
+        src: { component: 'hello', version: '2.0', relative: 'install.adoc' },
+      },
+      {
+        contents: Buffer.from('<article class="doc"><h1>Secret</h1></article>'),
+        src: { component: 'hello', version: '2.0', relative: 'secret.adoc' },
+        asciidoc: { attributes: { noindex: '' } },
+      },
+      {
+        contents: Buffer.from('<html><head><meta name="robots" content="noindex"></head><body></body></html>'),
+        src: { component: 'hello', version: '2.0', relative: 'hidden.adoc' },
+      },
+    ])
+    index = generateIndex(playbook, contentCatalog)
+  })
+
+  it('should report the number of pages per component version and the skipped pages', () => {
+    const report = createIndexReport(index, [generateIndex.createIndexFile(index)])
+    expect(report.pages).to.equal(4)
+    expect(report.componentVersions).to.eql({ 'hello/1.0': 3, 'hello/2.0': 1 })
+    expect(report.skipped).to.eql({ noindex: ['/hello/2.0/secret/'], robots: ['/hello/2.0/hidden/'] })
+    expect(report.terms).to.equal(Object.keys(index.index.invertedIndex).length)
+  })
+
+  it('should report the size of each index file', () => {
+    const files = [generateIndex.createIndexFile(index), ...generateIndex.createSplitIndexFiles(index)]
+    const report = createIndexReport(index, files)
+    expect(report.files.map(({ path }) => path.replace(/-[0-9a-f]{8}\.json$/, '.json'))).to.eql([
+      'search-index.js',
+      'search-index/modules/hello-root.json',
+      'search-index/modules/hello-admin.json',
+      'search-index/manifest.json',
+    ])
+    report.files.forEach((fileReport, idx) => expect(fileReport.size).to.equal(files[idx].contents.length))
+    expect(report.size).to.equal(files.reduce((total, file) => total + file.contents.length, 0))
+    expect(report.files[0]).to.include({ documents: 4, terms: report.terms })
+    expect(report.files[1]).to.include({ component: 'hello', module: 'ROOT', documents: 3 })
+    expect(report.files[2]).to.include({ component: 'hello', module: 'admin', documents: 1 })
+    expect(report.files[2].id).to.match(/^hello-admin-[0-9a-f]{8}$/)
+    expect(report.files[2].terms).to.be.greaterThan(0)
+  })
+
+  it('should report the size of the deflated data of each index file', () => {
+    const files = [generateIndex.createIndexFile(index), ...generateIndex.createSplitIndexFiles(index)]
+    const report = createIndexReport(index, files)
+    const lunrData = pako.deflate(JSON.stringify({ index: index.index, store: index.store }))
+    const trieData = pako.deflate(index.store.trie.save())
+    expect(report.files[0].deflatedSize).to.equal(lunrData.length + trieData.length)
+    const { lunrData: moduleLunrData, trieData: moduleTrieData } = JSON.parse(files[1].contents)
+    const moduleDeflatedSize = Buffer.from(moduleLunrData, 'base64').length + Buffer.from(moduleTrieData, 'base64').length
+    expect(report.files[1].deflatedSize).to.equal(moduleDeflatedSize)
+    expect(report.files[0].deflatedSize).to.be.lessThan(report.files[0].size)
+    expect(report.files[3]).to.not.have.property('deflatedSize')
+    expect(report.deflatedSize).to.equal(report.files.reduce((total, { deflatedSize = 0 }) => total + deflatedSize, 0))
+  })
+
+  it('should report the size of binary index files', () => {
+    const indexFile = generateIndex.createBinaryIndexFile(index)
+    const files = [indexFile, ...generateIndex.createSplitIndexFiles(index, { encoding: 'binary', indexFile })]
+    const report = createIndexReport(index, files)
+    expect(report.files[0]).to.include({ path: indexFile.out.path, documents: 4, terms: report.terms })
+    expect(report.files[0].deflatedSize).to.equal(indexFile.contents.length)
+    expect(report.files[1]).to.include({ component: 'hello', module: 'ROOT', documents: 3 })
+    expect(report.files[2]).to.include({ component: 'hello', module: 'admin', documents: 1 })
+  })
+
+  it('should report the largest documents first', () => {
+    const report = createIndexReport(index, [])
+    expect(report.largestDocuments).to.have.lengthOf(4)
+    expect(report.largestDocuments[0]).to.include({ url: '/hello/1.0/configure/', title: 'Configure' })
+    expect(report.largestDocuments[0].size).to.be.greaterThan(report.largestDocuments[1].size)
+  })
+
+  it('should format the report as a human-readable summary', () => {
+    const report = createIndexReport(index, [generateIndex.createIndexFile(index)])
+    const summary = formatIndexReport(report)
+    expect(summary.split('\n')[0]).to.include(`Search index: 4 page(s), ${report.terms} term(s)`)
+    expect(summary).to.include('  hello/1.0: 3 page(s)')
+    expect(summary).to.include('Skipped 1 page(s) marked noindex and 1 page(s) marked by the robots meta tag')
+    expect(summary).to.match(/^ {2}search-index\.js: .+ \(.+ deflated, 4 page\(s\)\)$/m)
+  })
+
+  it('should create a site file for the report', () => {
+    const report = createIndexReport(index, [])
+    const file = createIndexReportFile(report, 'reports/search.json')
+    expect(file.mediaType).to.equal('application/json')
+    expect(file.out.path).to.equal('reports/search.json')
+    expect(file.pub.url).to.equal('/reports/search.json')
+    expect(JSON.parse(file.contents)).to.eql(report)
+  })
+})
+
+describe('checkIndexSize()', () => {
+  let index
+  let files
+
+  beforeEach(() => {
+    const playbook = { site: {}, urls: { htmlExtensionStyle: 'indexify' } }
+    const contentCatalog = buildContentCatalog(playbook, [
+      {
+        contents: Buffer.from('<article class="doc"><h1>Install</h1><p>Install the server.</p></article>'),
+        src: { component: 'hello', version: '1.0', relative: 'install.adoc' },
+      },
+      {
+        contents: Buffer.from(`<article class="doc"><h1>Reference</h1><p>${'lorem ipsum dolor sit amet '.repeat(200)}</p></article>`),
+        src: { component: 'hello', version: '1.0', module: 'reference', relative: 'reference.adoc' },
+      },
+    ])
+    index = generateIndex(playbook, contentCatalog)
+    files = [generateIndex.createIndexFile(index), ...generateIndex.createSplitIndexFiles(index)]
+  })
+
+  it('should not report anything when no budget is set or when the files are within budget', () => {
+    expect(checkIndexSize(index, files)).to.eql([])
+    expect(checkIndexSize(index, files, { maxIndexSize: 1024 * 1024, maxModuleSize: 1024 * 1024 })).to.eql([])
+  })
+
+  it('should report the index file when it exceeds the maximum index size', () => {
+    const violations = checkIndexSize(index, files, { maxIndexSize: 100 })
+    expect(violations).to.have.lengthOf(1)
+    expect(violations[0]).to.include({ path: 'search-index.js', size: files[0].contents.length, limit: 100 })
+    expect(violations[0].largestDocuments.map(({ url }) => url)).to.eql(['/hello/1.0/reference/reference/', '/hello/1.0/install/'])
+  })
+
+  it('should report the split index files that exceed the maximum module size', () => {
+    const moduleFile = files.find((file) => file.out.path.startsWith('search-index/modules/hello-reference-'))
+    const violations = checkIndexSize(index, files, { maxModuleSize: moduleFile.contents.length - 1 })
+    expect(violations.map(({ path }) => path)).to.eql([moduleFile.out.path])
+    expect(violations[0].largestDocuments.map(({ url }) => url)).to.eql(['/hello/1.0/reference/reference/'])
+  })
+
+  it('should format a violation as a message that names the largest pages', () => {
+    const message = formatSizeViolation({
+      path: 'search-index.js',
+      size: 2048,
+      limit: 1024,
+      largestDocuments: [{ url: '/hello/1.0/reference/', size: 1536 }],
+    })
+    expect(message).to.equal('search-index.js is 2.0 KiB, which exceeds the budget of 1.0 KiB; largest pages: /hello/1.0/reference/ (1.5 KiB)')
+  })
+})
+
+describe('parseSize()', () => {
+  it('should accept a number of bytes', () => {
+    expect(parseSize(1000, 'maxIndexSize')).to.equal(1000)
+    expect(parseSize(undefined, 'maxIndexSize')).to.be.undefined()
+  })
+
+  it('should accept a size with a unit', () => {
+    expect(parseSize('500', 'maxIndexSize')).to.equal(500)
+    expect(parseSize('2 KB', 'maxIndexSize')).to.equal(2000)
+    expect(parseSize('2KiB', 'maxIndexSize')).to.equal(2048)
+    expect(parseSize('1.5 MiB', 'maxIndexSize')).to.equal(1572864)
+    expect(parseSize('5MB', 'maxModuleSize')).to.equal(5000000)
+  })
+
+  it('should reject an invalid size', () => {
+    expect(() => parseSize('big', 'maxIndexSize')).to.throw('The maxIndexSize option must be a positive number of bytes')
+    expect(() => parseSize(-1, 'maxModuleSize')).to.throw('The maxModuleSize option must be a positive number of bytes')
+  })
+})
+
+describe('resolveStrict()', () => {
+  it('should not fail the build by default', () => {
+    expect(resolveStrict()).to.be.false()
+    expect(resolveStrict(true)).to.be.true()
+  })
+
+  it('should reject a value that is not a boolean', () => {
+    expect(() => resolveStrict('false')).to.throw(
+      'The strict option must be true or false (true fails the build when an index file exceeds maxIndexSize or maxModuleSize)'
+    )
+    expect(() => resolveStrict(1)).to.throw('The strict option must be true or false')
+  })
+})
+
+describe('resolveReportConfig()', () => {
+  it('should not enable the report by default', () => {
+    expect(resolveReportConfig()).to.be.undefined()
+    expect(resolveReportConfig(false)).to.be.undefined()
+  })
+
+  it('should use the default path when the report option is true', () => {
+    expect(resolveReportConfig(true)).to.eql({ path: 'search-index-report.json', summary: false })
+  })
+
+  it('should accept a path and a summary flag', () => {
+    expect(resolveReportConfig({ path: '/reports/search.json', summary: true })).to.eql({
+      path: 'reports/search.json',
+      summary: true,
+    })
+  })
+
+  it('should reject an invalid value', () => {
+    expect(() => resolveReportConfig('yes')).to.throw('The report option must be true or a map with the keys path and summary')
+    expect(() => resolveReportConfig({ path: '' })).to.throw('The path of the report must be a relative file path')
+    expect(() => resolveReportConfig({ path: '../search.json' })).to.throw(
+      'The path of the report must be a relative file path inside the site'
+    )
+  })
+})
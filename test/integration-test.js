@@ -104,6 +104,11 @@ describe('generateSite()', () => {
     expect(searchScript.attr('data-site-root-path')).to.equal('..')
     expect(searchScript.attr('data-stylesheet')).to.equal('../_/css/search.css')
     expect(searchScript.attr('data-snippet-length')).to.equal('100')
+    expect(searchScript.attr('data-page-component')).to.equal('antora-lunr')
+    expect(searchScript.attr('data-page-version')).to.equal('')
+    expect(searchScript.attr('data-page-module')).to.equal('ROOT')
+    expect(searchScript.attr('data-load-concurrency')).to.equal('2')
+    expect(searchScript.attr('data-search-page')).to.equal('')
     const thePageContents = await fsp.readFile(
       ospath.join(outputDir, 'antora-lunr/named-module/the-page.html')
     )
@@ -113,6 +118,7 @@ describe('generateSite()', () => {
     expect(searchScript.attr('data-stylesheet')).to.equal(
       '../../_/css/search.css'
     )
+    expect(searchScript.attr('data-page-module')).to.equal('named-module')
   })
 
   it('should output lunr.js client/engine to js vendor directory of UI output folder', async () => {
@@ -141,6 +147,33 @@ describe('generateSite()', () => {
     )
   })
 
+  it('should output pako.js to js vendor directory of UI output folder instead of loading it from a CDN', async () => {
+    await generateSite(
+      [
+        '--playbook',
+        defaultPlaybookFile,
+        '--to-dir',
+        outputDir,
+        '--cache-dir',
+        cacheDir,
+        '--quiet',
+      ],
+      {}
+    )
+    const expected = ospath.join(outputDir, '_/js/vendor/pako.js')
+    expect(expected)
+      .to.be.a.file()
+      .and.equal(require.resolve('pako/dist/pako_inflate.min.js'))
+    const thePageContents = await fsp.readFile(
+      ospath.join(outputDir, 'antora-lunr/named-module/the-page.html')
+    )
+    const $ = cheerio.load(thePageContents)
+    expect($('script[src="../../_/js/vendor/pako.js"]').get()).to.have.lengthOf(
+      1
+    )
+    expect($('script[src^="http"]').get()).to.be.empty()
+  })
+
   it('should output vendored JS files to multiple destinations', async () => {
     const playbookFile = ospath.join(
       FIXTURES_DIR,
@@ -323,6 +356,110 @@ describe('generateSite()', () => {
     expect(searchScript.attr('data-snippet-length')).to.equal('250')
   })
 
+  it('should fall back to the index of the whole site when the split index fails to load by default', async () => {
+    await generateSite(
+      [
+        '--playbook',
+        defaultPlaybookFile,
+        '--to-dir',
+        outputDir,
+        '--cache-dir',
+        cacheDir,
+        '--quiet',
+      ],
+      {}
+    )
+    expect(ospath.join(outputDir, 'search-index.js')).to.be.a.file()
+    expect(ospath.join(outputDir, 'search-index/manifest.json')).to.be.a.file()
+    const startPageContents = await fsp.readFile(
+      ospath.join(outputDir, 'antora-lunr/index.html')
+    )
+    expect(startPageContents.toString()).to.include('/search-index/manifest.json')
+    expect(startPageContents.toString()).to.include("var fallbackIndexUrl = '../search-index.js';")
+  })
+
+  it('should only write the split index files when the index format is split', async () => {
+    const playbookFile = ospath.join(
+      FIXTURES_DIR,
+      'docs-site',
+      'antora-playbook-with-split-index-format.yml'
+    )
+    await generateSite(
+      [
+        '--playbook',
+        playbookFile,
+        '--to-dir',
+        outputDir,
+        '--cache-dir',
+        cacheDir,
+        '--quiet',
+      ],
+      {}
+    )
+    expect(ospath.join(outputDir, 'search-index.js')).to.not.be.a.path()
+    expect(ospath.join(outputDir, 'search-index/manifest.json')).to.be.a.file()
+    const startPageContents = await fsp.readFile(
+      ospath.join(outputDir, 'antora-lunr/index.html')
+    )
+    expect(startPageContents.toString()).to.include('/search-index/manifest.json')
+    expect(startPageContents.toString()).to.not.include('search-index.js')
+  })
+
+  it('should only write the index of the whole site when the index format is monolithic', async () => {
+    const playbookFile = ospath.join(
+      FIXTURES_DIR,
+      'docs-site',
+      'antora-playbook-with-monolithic-index-format.yml'
+    )
+    await generateSite(
+      [
+        '--playbook',
+        playbookFile,
+        '--to-dir',
+        outputDir,
+        '--cache-dir',
+        cacheDir,
+        '--quiet',
+      ],
+      {}
+    )
+    expect(ospath.join(outputDir, 'search-index.js')).to.be.a.file()
+    expect(ospath.join(outputDir, 'search-index')).to.not.be.a.path()
+    const startPageContents = await fsp.readFile(
+      ospath.join(outputDir, 'antora-lunr/index.html')
+    )
+    const $ = cheerio.load(startPageContents)
+    expect($('script[src="../search-index.js"]')).to.have.lengthOf(1)
+    expect(startPageContents.toString()).to.not.include('manifest.json')
+  })
+
+  it('should generate a service worker that precaches the search index when enabled', async () => {
+    const playbookFile = ospath.join(
+      FIXTURES_DIR,
+      'docs-site',
+      'antora-playbook-with-service-worker.yml'
+    )
+    await generateSite(
+      [
+        '--playbook',
+        playbookFile,
+        '--to-dir',
+        outputDir,
+        '--cache-dir',
+        cacheDir,
+        '--quiet',
+      ],
+      {}
+    )
+    const serviceWorkerContents = await fsp.readFile(ospath.join(outputDir, 'search-sw.js'), 'utf8')
+    expect(serviceWorkerContents).to.include('"search-index/manifest.json"')
+    expect(serviceWorkerContents).to.include('"_/js/vendor/lunr.js"')
+    const startPageContents = await fsp.readFile(
+      ospath.join(outputDir, 'antora-lunr/index.html')
+    )
+    expect(startPageContents.toString()).to.include("navigator.serviceWorker.register('../search-sw.js')")
+  })
+
   it('should use existing search-scripts.hbs partial if present in UI', async () => {
     await generateSite(
       [
@@ -392,6 +529,49 @@ describe('generateSite()', () => {
     ).to.throw(expectedMessage)
   })
 
+  it('should not generate the search page by default', async () => {
+    await generateSite(
+      [
+        '--playbook',
+        defaultPlaybookFile,
+        '--to-dir',
+        outputDir,
+        '--cache-dir',
+        cacheDir,
+        '--quiet',
+      ],
+      {}
+    )
+    expect(ospath.join(outputDir, 'search.html')).to.not.be.a.path()
+  })
+
+  it('should generate the search page using the layout of the site when enabled', async () => {
+    const playbookFile = ospath.join(
+      FIXTURES_DIR,
+      'docs-site',
+      'antora-playbook-with-search-page.yml'
+    )
+    await generateSite(
+      [
+        '--playbook',
+        playbookFile,
+        '--to-dir',
+        outputDir,
+        '--cache-dir',
+        cacheDir,
+        '--quiet',
+      ],
+      {}
+    )
+    const searchPageContents = await fsp.readFile(ospath.join(outputDir, 'search.html'))
+    const $ = cheerio.load(searchPageContents)
+    expect($('article.doc #search-results-page')).to.have.lengthOf(1)
+    expect($('#search-input')).to.have.lengthOf(1)
+    const searchScript = $('#search-ui-script')
+    expect(searchScript.attr('data-site-root-path')).to.equal('.')
+    expect(searchScript.attr('data-search-page')).to.equal('./search.html')
+  })
+
   it('should output search.css to css directory of UI output folder', async () => {
     await generateSite(
       [
@@ -0,0 +1,70 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('./harness')
+
+const LevenshteinTrie = require('../lib/levenshtein_patricia_trie')
+
+describe('LevenshteinTrie', () => {
+  let trie
+
+  beforeEach(() => {
+    trie = new LevenshteinTrie()
+    trie.insertWithData('install', 1)
+    trie.insertWithData('install', 2)
+    trie.insertWithData('installation', 3)
+    trie.insertWithData('configure', 4)
+  })
+
+  it('should find the words within the maximum distance, closest first, with their distance', () => {
+    expect(trie.searchWithLevenshteinWithData('instll', 1)).to.eql([{ word: 'install', data: [1, 2], distance: 1 }])
+    expect(trie.searchWithLevenshtein('configuer', 2)).to.eql([{ word: 'configure', distance: 2 }])
+    expect(trie.searchWithLevenshtein('installaton', 5).map(({ word }) => word)).to.eql(['installation', 'install'])
+  })
+
+  it('should find a word once even when it can be reached by several edit paths', () => {
+    const words = trie.searchWithLevenshtein('instal', 6).map(({ word }) => word)
+    expect(words).to.eql(['install', 'installation'])
+  })
+
+  it('should not find anything beyond the maximum distance', () => {
+    expect(trie.searchWithLevenshtein('deploy', 2)).to.be.empty()
+  })
+
+  it('should store a chain of single characters as the label of a single node', () => {
+    expect([...trie.root.children.keys()]).to.eql(['i', 'c'])
+    const install = trie.root.children.get('i')
+    expect(install).to.include({ label: 'install', isEndOfWord: true })
+    expect(install.children.get('a')).to.include({ label: 'ation', isEndOfWord: true })
+    trie.insert('instance')
+    const insta = trie.root.children.get('i')
+    expect(insta).to.include({ label: 'insta', isEndOfWord: false })
+    expect([...insta.children.values()].map(({ label }) => label)).to.eql(['ll', 'nce'])
+    expect(trie.searchWithLevenshtein('insta', 0)).to.be.empty()
+    expect(trie.searchWithLevenshtein('instance', 0)).to.eql([{ word: 'instance', distance: 0 }])
+  })
+
+  it('should find the words that start with a prefix', () => {
+    trie.insertWithData('instance', 5)
+    expect(trie.searchWithPrefix('inst')).to.eql([
+      { word: 'install', data: [1, 2] },
+      { word: 'installation', data: [3] },
+      { word: 'instance', data: [5] },
+    ])
+    expect(trie.searchWithPrefix('installa').map(({ word }) => word)).to.eql(['installation'])
+    expect(trie.searchWithPrefix('install').map(({ word }) => word)).to.eql(['install', 'installation'])
+    expect(trie.searchWithPrefix('insx')).to.be.empty()
+    expect(trie.searchWithPrefix('installations')).to.be.empty()
+    expect(trie.searchWithPrefix('')).to.have.lengthOf(4)
+  })
+
+  it('should save the nodes as a flat list of label, number of children and data', () => {
+    expect(JSON.parse(trie.save())).to.eql(['', 2, 0, 'install', 1, [1, 2], 'ation', 0, [3], 'configure', 0, [4]])
+  })
+
+  it('should find the same words after a save and load round trip', () => {
+    const loaded = new LevenshteinTrie()
+    loaded.load(trie.save())
+    expect(loaded.searchWithLevenshteinWithData('instll', 1)).to.eql(trie.searchWithLevenshteinWithData('instll', 1))
+  })
+})
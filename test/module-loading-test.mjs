@@ -0,0 +1,74 @@
+/* eslint-env mocha */
+'use strict'
+
+import { createRequire } from 'module'
+import { loadModules, prioritizeModules } from '../data/js/module-loading.mjs'
+const require = createRequire(import.meta.url)
+const { expect } = require('./harness')
+
+describe('prioritizeModules()', () => {
+  const page = { component: 'hello', version: '2.0', module: 'admin' }
+
+  it('should load the module of the current page first, then the modules of its component', () => {
+    const modules = [
+      { id: 'acme-root', scopes: [{ component: 'acme', module: 'ROOT' }] },
+      { id: 'hello-root', scopes: [{ component: 'hello', module: 'ROOT' }] },
+      { id: 'hello-admin', scopes: [{ component: 'hello', module: 'admin' }] },
+    ]
+    expect(prioritizeModules(modules, page).map(({ id }) => id)).to.eql(['hello-admin', 'hello-root', 'acme-root'])
+  })
+
+  it('should rank the modules of the current version above the same module in other versions', () => {
+    const modules = [
+      { id: 'hello-1-0-admin', scopes: [{ component: 'hello', version: '1.0', module: 'admin' }] },
+      { id: 'hello-2-0-root', scopes: [{ component: 'hello', version: '2.0', module: 'ROOT' }] },
+      {
+        id: 'acme-1-0-root',
+        scopes: [
+          { component: 'acme', version: '1.0', module: 'ROOT' },
+          { component: 'hello', version: '2.0', module: 'admin' },
+        ],
+      },
+    ]
+    expect(prioritizeModules(modules, page).map(({ id }) => id)).to.eql([
+      'acme-1-0-root',
+      'hello-2-0-root',
+      'hello-1-0-admin',
+    ])
+  })
+
+  it('should use the entry as the scope when the manifest has no scopes', () => {
+    const modules = [
+      { id: 'hello-root', component: 'hello', module: 'ROOT' },
+      { id: 'hello-admin', component: 'hello', module: 'admin' },
+    ]
+    expect(prioritizeModules(modules, page).map(({ id }) => id)).to.eql(['hello-admin', 'hello-root'])
+  })
+
+  it('should keep the order of the manifest when the page has no component', () => {
+    const modules = [{ id: 'hello-root', scopes: [{ component: 'hello' }] }, { id: 'acme', scopes: [{ component: 'acme' }] }]
+    expect(prioritizeModules(modules, {})).to.equal(modules)
+  })
+})
+
+describe('loadModules()', () => {
+  it('should load the modules in order, with no more than the given number of modules at a time', async () => {
+    const started = []
+    let loading = 0
+    let maxLoading = 0
+    await loadModules(['a', 'b', 'c', 'd', 'e'], 2, async (id) => {
+      started.push(id)
+      maxLoading = Math.max(maxLoading, ++loading)
+      await new Promise((resolve) => setTimeout(resolve, 5))
+      loading--
+    })
+    expect(started).to.eql(['a', 'b', 'c', 'd', 'e'])
+    expect(maxLoading).to.equal(2)
+  })
+
+  it('should not do anything when there are no modules to load', async () => {
+    let called = false
+    await loadModules([], 2, async () => (called = true))
+    expect(called).to.be.false()
+  })
+})
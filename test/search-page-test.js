@@ -0,0 +1,123 @@
+/* eslint-env mocha */
+'use strict'
+
+const { buildContentCatalog, expect } = require('./harness')
+
+const { createSearchPageFile, findFileAtPath, resolveSearchPageConfig } = require('../lib/search-page')
+
+describe('createSearchPageFile()', () => {
+  let playbook
+
+  beforeEach(() => {
+    playbook = {
+      site: {
+        url: 'https://docs.example.org',
+      },
+      urls: {
+        htmlExtensionStyle: 'indexify',
+      },
+    }
+  })
+
+  it('should create a page at the root of the site with a container for the search results', () => {
+    const contentCatalog = buildContentCatalog(playbook, [
+      {
+        contents: Buffer.from('<article class="doc"><h1>Install</h1></article>'),
+        src: { component: 'hello', version: '1.0', relative: 'install.adoc' },
+      },
+    ])
+    const file = createSearchPageFile(contentCatalog, resolveSearchPageConfig(true))
+    expect(file.mediaType).to.equal('text/html')
+    expect(file.title).to.equal('Search')
+    expect(file.out).to.eql({ dirname: '', basename: 'search.html', path: 'search.html', rootPath: '.' })
+    expect(file.pub).to.eql({ url: '/search.html', rootPath: '.' })
+    expect(file.contents.toString()).to.include('<div id="search-results-page" class="search-results-page">')
+    expect(file.src).to.include({ component: 'hello', version: '1.0', module: 'ROOT', family: 'page' })
+    expect(contentCatalog.getPages()).to.have.lengthOf(1)
+  })
+
+  it('should attach the page to the component version of the site start page', () => {
+    const contentCatalog = buildContentCatalog(playbook, [
+      {
+        contents: Buffer.from('<article class="doc"><h1>Welcome</h1></article>'),
+        src: { component: 'acme', version: '2.0', relative: 'index.adoc' },
+      },
+      {
+        contents: Buffer.from('<article class="doc"><h1>Hello</h1></article>'),
+        src: { component: 'hello', version: '1.0', relative: 'index.adoc' },
+      },
+    ])
+    contentCatalog.registerSiteStartPage('hello::index.adoc')
+    const file = createSearchPageFile(contentCatalog, resolveSearchPageConfig(true))
+    expect(file.src).to.include({ component: 'hello', version: '1.0' })
+  })
+
+  it('should use the path and title from the configuration', () => {
+    const contentCatalog = buildContentCatalog(playbook, [
+      {
+        contents: Buffer.from('<article class="doc"><h1>Install</h1></article>'),
+        src: { component: 'hello', version: '1.0', relative: 'install.adoc' },
+      },
+    ])
+    const file = createSearchPageFile(contentCatalog, resolveSearchPageConfig({ path: 'find/results.html', title: 'Find' }))
+    expect(file.title).to.equal('Find')
+    expect(file.out).to.eql({ dirname: 'find', basename: 'results.html', path: 'find/results.html', rootPath: '..' })
+    expect(file.pub).to.eql({ url: '/find/results.html', rootPath: '..' })
+  })
+
+  it('should not create a page if the site has no components', () => {
+    const contentCatalog = buildContentCatalog(playbook, [])
+    expect(createSearchPageFile(contentCatalog, resolveSearchPageConfig(true))).to.be.undefined()
+  })
+})
+
+describe('resolveSearchPageConfig()', () => {
+  it('should disable the search page by default', () => {
+    expect(resolveSearchPageConfig()).to.be.undefined()
+    expect(resolveSearchPageConfig(false)).to.be.undefined()
+  })
+
+  it('should use the default path and title when the option is true', () => {
+    expect(resolveSearchPageConfig(true)).to.eql({ path: 'search.html', title: 'Search' })
+  })
+
+  it('should reject an invalid value', () => {
+    expect(() => resolveSearchPageConfig('yes')).to.throw('The searchPage option must be true, false or a map')
+    expect(() => resolveSearchPageConfig({ path: 'search' })).to.throw(
+      'The path of the search page must be a relative path inside the site that ends with .html'
+    )
+  })
+
+  it('should reject a path outside the site', () => {
+    expect(() => resolveSearchPageConfig({ path: '../search.html' })).to.throw(
+      'The path of the search page must be a relative path inside the site that ends with .html'
+    )
+    expect(() => resolveSearchPageConfig({ path: 'find/../../search.html' })).to.throw(
+      'The path of the search page must be a relative path inside the site that ends with .html'
+    )
+  })
+})
+
+describe('findFileAtPath()', () => {
+  it('should find a page of the content catalog published to the path of the search page', () => {
+    const playbook = { site: { url: 'https://docs.example.org' }, urls: { htmlExtensionStyle: 'default' } }
+    const contentCatalog = buildContentCatalog(playbook, [
+      {
+        contents: Buffer.from('<article class="doc"><h1>Search</h1></article>'),
+        src: { component: 'ROOT', version: '', relative: 'search.adoc' },
+      },
+    ])
+    const siteCatalog = { getFiles: () => [] }
+    const { path } = resolveSearchPageConfig(true)
+    expect(contentCatalog.getPages()[0].out.path).to.equal('search.html')
+    expect(findFileAtPath(path, contentCatalog, siteCatalog)).to.equal(contentCatalog.getPages()[0])
+    expect(findFileAtPath('find/results.html', contentCatalog, siteCatalog)).to.be.undefined()
+  })
+
+  it('should find a file of the site catalog published to the path of the search page', () => {
+    const siteFile = { out: { path: 'search.html' } }
+    const contentCatalog = { getFiles: () => [{ src: {} }] }
+    const siteCatalog = { getFiles: () => [siteFile] }
+    expect(findFileAtPath('search.html', contentCatalog, siteCatalog)).to.equal(siteFile)
+  })
+})
@@ -0,0 +1,78 @@
+/* eslint-env mocha */
+'use strict'
+
+import { createRequire } from 'module'
+import { inDocuments, queryIndex, queryIndexes } from '../data/js/search-query.mjs'
+const require = createRequire(import.meta.url)
+const { buildContentCatalog, expect } = require('./harness')
+const lunr = require('lunr')
+const generateIndex = require('../lib/generate-index')
+
+describe('queryIndex()', () => {
+  const playbook = { site: { url: 'https://docs.example.org' }, urls: { htmlExtensionStyle: 'indexify' } }
+  const refs = (result) => result.map(({ ref }) => ref).sort()
+
+  const buildIndex = (options) => {
+    const contentCatalog = buildContentCatalog(playbook, [
+      {
+        contents: Buffer.from(
+          '<article class="doc"><h1>Install</h1><p>Download the archive and unpack it. Then configure the proxy with kubectl.</p></article>'
+        ),
+        src: { component: 'hello', version: '1.0', relative: 'install.adoc' },
+      },
+      {
+        contents: Buffer.from('<article class="doc"><h1>Proxy</h1><p>Configure the proxy with kubectlx.</p></article>'),
+        src: { component: 'hello', version: '1.0', relative: 'proxy.adoc' },
+      },
+    ])
+    const index = generateIndex(playbook, contentCatalog, options)
+    // the client loads the serialized index
+    return { index: lunr.Index.load(JSON.parse(JSON.stringify(index.index))), store: index.store }
+  }
+
+  it('should find a word past the stored text of a document restricted by its id with compact storage', () => {
+    const { index, store } = buildIndex({ storage: 'compact', storedTextLength: 20 })
+    expect(store.documents['1'].text).to.not.include('proxy')
+    expect(refs(queryIndex(lunr, index, 'proxy', inDocuments(new Set(['1']))))).to.eql(['1'])
+    expect(refs(queryIndex(lunr, index, 'proxy'))).to.eql(['1', '2'])
+  })
+
+  it('should fall back to a begins with search, then to a contains search', () => {
+    const { index } = buildIndex()
+    expect(refs(queryIndex(lunr, index, 'unpa'))).to.eql(['1'])
+    expect(refs(queryIndex(lunr, index, 'npac'))).to.eql(['1'])
+  })
+
+  it('should fall back when no result is accepted', () => {
+    const { index } = buildIndex()
+    expect(refs(queryIndex(lunr, index, 'kubectl'))).to.eql(['1'])
+    expect(refs(queryIndex(lunr, index, 'kubectl', inDocuments(new Set(['2']))))).to.eql(['2'])
+    expect(queryIndex(lunr, index, 'unpack', inDocuments(new Set(['2'])))).to.be.empty()
+  })
+})
+
+describe('queryIndexes()', () => {
+  const refs = (results) => results.map((result) => result.map(({ ref }) => ref).sort())
+  const buildIndex = (docs) =>
+    lunr(function () {
+      this.ref('id')
+      this.field('text')
+      docs.forEach((doc) => this.add(doc))
+    })
+
+  it('should not fall back in an index if another index has an exact hit', () => {
+    const indexA = buildIndex([{ id: '1', text: 'Configure the proxy with kubectl' }])
+    const indexB = buildIndex([{ id: '1', text: 'Configure the proxy with kubectlx' }])
+    const targets = [{ index: indexA }, { index: indexB }]
+    expect(refs([queryIndex(lunr, indexB, 'kubectl')])).to.eql([['1']])
+    expect(refs(queryIndexes(lunr, targets, 'kubectl'))).to.eql([['1'], []])
+    expect(refs(queryIndexes(lunr, targets, 'kubect'))).to.eql([['1'], ['1']])
+  })
+
+  it('should fall back in all the indexes if no index has an accepted exact hit', () => {
+    const indexA = buildIndex([{ id: '1', text: 'Configure the proxy with kubectl' }])
+    const indexB = buildIndex([{ id: '1', text: 'Configure the proxy with kubectlx' }])
+    const targets = [{ index: indexA, accept: () => false }, { index: indexB }]
+    expect(refs(queryIndexes(lunr, targets, 'kubectl'))).to.eql([[], ['1']])
+  })
+})
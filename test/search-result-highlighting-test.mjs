@@ -2,10 +2,18 @@
 'use strict'
 
 import { createRequire } from 'module'
-import { buildHighlightedText, findTermPosition } from '../data/js/search-result-highlighting.mjs'
+import {
+  buildHighlightedText,
+  findCodeLine,
+  findCompletions,
+  findCorrections,
+  findTermPosition,
+  LevenshteinTrieUser,
+} from '../data/js/search-result-highlighting.mjs'
 const require = createRequire(import.meta.url)
 const { expect } = require('./harness')
 const lunr = require('lunr')
+const LevenshteinTrie = require('../lib/levenshtein_patricia_trie')
 
 describe('buildHighlightedText()', () => {
   it('should highlight a single term (lunr)', async () => {
@@ -210,6 +218,21 @@ describe('buildHighlightedText()', () => {
   })
 })
 
+describe('findCodeLine()', () => {
+  const code = "const client = new Client()\n  client.openConnection({ host: 'localhost' })\nclient.setTimeout(30)"
+
+  it('should return the first line that contains one of the terms, without its indentation', () => {
+    expect(findCodeLine(code, ['localhost'])).to.equal("client.openConnection({ host: 'localhost' })")
+    expect(findCodeLine(code, ['timeout', 'openconnect'])).to.equal("client.openConnection({ host: 'localhost' })")
+    expect(findCodeLine(code, ['Client'])).to.equal('const client = new Client()')
+  })
+
+  it('should return undefined when no line contains a term', () => {
+    expect(findCodeLine(code, ['server'])).to.be.undefined()
+    expect(findCodeLine(code, [])).to.be.undefined()
+  })
+})
+
 describe('findTermPosition()', () => {
   it('should found Lunr (case-insensitive)', () => {
     const result = findTermPosition(lunr, 'lunr', 'Lunr provides a great search experience without the need for external, server-side, search services.')
@@ -242,3 +265,128 @@ describe('findTermPosition()', () => {
     })
   })
 })
+
+describe('findCorrections()', () => {
+  const createVocabulary = (frequencies) => {
+    const vocabulary = new LevenshteinTrieUser()
+    Object.entries(frequencies).forEach(([word, frequency]) => vocabulary.insertWithData(word, frequency))
+    return vocabulary
+  }
+
+  it('should replace a misspelled word with the closest words, the most frequent first', () => {
+    const vocabulary = createVocabulary({ install: 2, installs: 5, instance: 1, server: 4 })
+    expect(findCorrections([vocabulary], 'instal')).to.eql(['install', 'installs'])
+    expect(findCorrections([vocabulary], 'installl')).to.eql(['installs', 'install'])
+    expect(findCorrections([vocabulary], 'isntall')).to.eql(['install'])
+  })
+
+  it('should correct each misspelled word of the query', () => {
+    const vocabulary = createVocabulary({ install: 2, server: 4, the: 9 })
+    expect(findCorrections([vocabulary], 'Instal the servr')).to.eql(['install the server'])
+  })
+
+  it('should not suggest anything when every word is known or has no close word', () => {
+    const vocabulary = createVocabulary({ install: 2, server: 4 })
+    expect(findCorrections([vocabulary], 'install server')).to.eql([])
+    expect(findCorrections([vocabulary], 'kubernetes')).to.eql([])
+    expect(findCorrections([vocabulary], '')).to.eql([])
+  })
+
+  it('should not correct a word that uses the query syntax', () => {
+    const vocabulary = createVocabulary({ install: 2, title: 1 })
+    expect(findCorrections([vocabulary], 'title:instal instal*')).to.eql([])
+  })
+
+  it('should not correct a word that is too short to be in the vocabulary', () => {
+    const vocabulary = createVocabulary({ how: 3, install: 2, top: 4, two: 1 })
+    expect(findCorrections([vocabulary], 'how to install')).to.eql([])
+    expect(findCorrections([vocabulary], 'how to instal')).to.eql(['how to install'])
+  })
+
+  it('should add up the frequencies of a word in several vocabularies', () => {
+    const vocabularies = [createVocabulary({ server: 1, serve: 2 }), createVocabulary({ server: 3 })]
+    expect(findCorrections(vocabularies, 'servr')).to.eql(['server', 'serve'])
+    // a word known in one of the vocabularies is not misspelled
+    expect(findCorrections(vocabularies, 'serve')).to.eql([])
+  })
+
+  it('should honor the limit', () => {
+    const vocabulary = createVocabulary({ cat: 1, bat: 2, hat: 3, rat: 4 })
+    expect(findCorrections([vocabulary], 'mat', 2)).to.eql(['rat', 'hat'])
+  })
+})
+
+describe('findCompletions()', () => {
+  const createCompletions = (frequencies) => {
+    const trie = new LevenshteinTrieUser()
+    Object.entries(frequencies).forEach(([term, frequency]) => trie.insertWithData(term, frequency))
+    return trie
+  }
+
+  it('should complete the last word of the query, the most frequent completions first', () => {
+    const trie = createCompletions({ configuration: 3, 'configure-server': 5, config: 1, install: 2, conflict: 4 })
+    expect(findCompletions([trie], 'config')).to.eql(['configure-server', 'configuration'])
+    expect(findCompletions([trie], 'Install the Conf')).to.eql([
+      'Install the configure-server',
+      'Install the conflict',
+      'Install the configuration',
+      'Install the config',
+    ])
+  })
+
+  it('should rank completions with the same frequency alphabetically and honor the limit', () => {
+    const trie = createCompletions({ installing: 1, installation: 1, installer: 1 })
+    expect(findCompletions([trie], 'inst', 2)).to.eql(['installation', 'installer'])
+  })
+
+  it('should add up the frequencies of a completion in several tries', () => {
+    const tries = [createCompletions({ server: 1, services: 2 }), createCompletions({ server: 2 })]
+    expect(findCompletions(tries, 'ser')).to.eql(['server', 'services'])
+  })
+
+  it('should not complete a word that is too short or that uses the query syntax', () => {
+    const trie = createCompletions({ install: 1, title: 1 })
+    expect(findCompletions([trie], 'i')).to.eql([])
+    expect(findCompletions([trie], 'title:inst')).to.eql([])
+    expect(findCompletions([trie], '+inst')).to.eql([])
+    expect(findCompletions([trie], 'install ')).to.eql([])
+  })
+})
+
+describe('LevenshteinTrieUser', () => {
+  it('should find each word within the maximum distance once, closest first, with its distance and data', () => {
+    const trie = new LevenshteinTrieUser()
+    trie.insertWithData('install', 1)
+    trie.insertWithData('installs', 2)
+    trie.insertWithData('uninstall', 3)
+    trie.insertWithData('server', 4)
+    expect(trie.searchWithLevenshteinWithData('instal', 3)).to.eql([
+      { word: 'install', data: [1], distance: 1 },
+      { word: 'installs', data: [2], distance: 2 },
+      { word: 'uninstall', data: [3], distance: 3 },
+    ])
+    expect(trie.searchWithLevenshtein('sevrer', 2)).to.eql([{ word: 'server', distance: 2 }])
+    expect(trie.searchWithLevenshtein('server', 0)).to.eql([{ word: 'server', distance: 0 }])
+  })
+
+  it('should search a trie loaded from its serialized form', () => {
+    const trie = new LevenshteinTrieUser()
+    trie.insertWithData('install', 1)
+    trie.insertWithData('server', 2)
+    const loaded = new LevenshteinTrieUser()
+    loaded.load(JSON.parse(trie.save()))
+    expect(loaded.searchWithLevenshteinWithData('servr', 1)).to.eql([{ word: 'server', data: [2], distance: 1 }])
+  })
+
+  it('should read and write the same format as the trie used to build the index', () => {
+    const trie = new LevenshteinTrie()
+    trie.insertWithData('install', 1)
+    trie.insertWithData('installation', 2)
+    trie.insertWithData('\u{1F680}launch', 3)
+    const loaded = new LevenshteinTrieUser()
+    loaded.load(JSON.parse(trie.save()))
+    expect(loaded.save()).to.equal(trie.save())
+    expect(loaded.searchWithLevenshteinWithData('instalation', 1)).to.eql([{ word: 'installation', data: [2], distance: 1 }])
+    expect(loaded.searchWithLevenshtein('\u{1F681}launch', 1)).to.eql([{ word: '\u{1F680}launch', distance: 1 }])
+  })
+})
@@ -0,0 +1,132 @@
+/* eslint-env mocha */
+'use strict'
+
+import { createRequire } from 'module'
+import { registerSynonymsFilter, registerTokenizerFilters } from '../data/js/search-tokenizer.mjs'
+const require = createRequire(import.meta.url)
+const { buildContentCatalog, expect } = require('./harness')
+const lunr = require('lunr')
+const generateIndex = require('../lib/generate-index')
+
+describe('registerTokenizerFilters()', () => {
+  const playbook = { site: { url: 'https://docs.example.org' }, urls: { htmlExtensionStyle: 'indexify' } }
+  const defaultTermSeparator = lunr.QueryLexer.termSeparator
+  let contentCatalog
+
+  beforeEach(() => {
+    contentCatalog = buildContentCatalog(playbook, [
+      {
+        contents: Buffer.from(
+          '<article class="doc"><h1>Connections</h1><p>Open the connections with --dry-run,verbose.</p></article>'
+        ),
+        src: { component: 'hello', version: '1.0', relative: 'connections.adoc' },
+      },
+      {
+        contents: Buffer.from('<article class="doc"><h1>Connexions</h1><p>Ouvrir les connexions du client.</p></article>'),
+        src: { component: 'hello', version: '1.0', relative: 'connexions.adoc' },
+      },
+    ])
+  })
+
+  afterEach(() => {
+    lunr.QueryLexer.termSeparator = defaultTermSeparator
+  })
+
+  // Loads the index like the client: the pipeline functions of the extension are only known by their label
+  const loadIndex = ({ index, store }) => {
+    const data = JSON.parse(JSON.stringify(index))
+    data.pipeline
+      .filter((label) => label.startsWith('unstemmedFields-'))
+      .forEach((label) => delete lunr.Pipeline.registeredFunctions[label])
+    registerTokenizerFilters(lunr, store.tokenizer, data.pipeline, store.languages)
+    return lunr.Index.load(data)
+  }
+  const results = (index, query) =>
+    index
+      .search(query)
+      .map(({ ref, score, matchData }) => ({ ref, score, terms: Object.keys(matchData.metadata).sort() }))
+      .sort((a, b) => a.ref.localeCompare(b.ref))
+
+  it('should search the index like the index was built, with the stemmer of each language', () => {
+    const index = generateIndex(playbook, contentCatalog, {
+      languages: ['en', 'fr'],
+      unstemmedFields: ['title'],
+    })
+    const queries = [
+      'connections',
+      'title:connections',
+      'title:connect',
+      'text:connect',
+      'connexions',
+      'title:connexion',
+    ]
+    const expected = queries.map((query) => results(index.index, query))
+    expect(index.index.pipeline._stack.map(({ label }) => label)).to.eql([
+      'unstemmedFields-stemmer',
+      'unstemmedFields-stemmer-fr',
+    ])
+    const clientIndex = loadIndex(index)
+    expect(queries.map((query) => results(clientIndex, query))).to.eql(expected)
+    expect(results(clientIndex, 'title:connections').map(({ ref }) => ref)).to.eql(['1'])
+    expect(results(clientIndex, 'title:connect')).to.be.empty()
+  })
+
+  it('should search the code field like the index was built', () => {
+    contentCatalog = buildContentCatalog(playbook, [
+      {
+        contents: Buffer.from(
+          '<article class="doc"><h1>Connections</h1><p>Open the connections.</p>' +
+            '<div class="listingblock"><pre>client.openConnection(maxConnections)</pre></div></article>'
+        ),
+        src: { component: 'hello', version: '1.0', relative: 'connections.adoc' },
+      },
+    ])
+    const index = generateIndex(playbook, contentCatalog, { languages: ['en', 'fr'], unstemmedFields: ['code'] })
+    const queries = ['connections', 'openconnection', 'code:maxconnections', 'code:connections', 'code:connect']
+    const expected = queries.map((query) => results(index.index, query))
+    const clientIndex = loadIndex(index)
+    expect(queries.map((query) => results(clientIndex, query))).to.eql(expected)
+    expect(results(clientIndex, 'code:maxconnections').map(({ ref }) => ref)).to.eql(['1'])
+    expect(results(clientIndex, 'code:connections').map(({ ref }) => ref)).to.eql(['1'])
+    expect(results(clientIndex, 'code:connect')).to.be.empty()
+  })
+
+  it('should split the terms of the query on the custom separator', () => {
+    const index = generateIndex(playbook, contentCatalog, { tokenSeparator: '[\\s,.()]+' })
+    const clientIndex = loadIndex(index)
+    expect(lunr.QueryLexer.termSeparator).to.eql(/[\s,.()]+/)
+    expect(results(clientIndex, 'dry-run').map(({ ref }) => ref)).to.eql(['1'])
+  })
+
+  it('should not use the custom separator when the language comes with its own tokenizer', () => {
+    const index = generateIndex(playbook, contentCatalog, { languages: ['ja'], tokenSeparator: '[\\s,]+' })
+    loadIndex(index)
+    expect(lunr.QueryLexer.termSeparator).to.equal(defaultTermSeparator)
+  })
+})
+
+describe('registerSynonymsFilter()', () => {
+  const playbook = { site: { url: 'https://docs.example.org' }, urls: { htmlExtensionStyle: 'indexify' } }
+
+  it('should search the synonyms of an index built with synonyms', () => {
+    const contentCatalog = buildContentCatalog(playbook, [
+      {
+        contents: Buffer.from('<article class="doc"><h1>Deploy</h1><p>Deploy the server to Kubernetes.</p></article>'),
+        src: { component: 'hello', version: '1.0', relative: 'deploy.adoc' },
+      },
+      {
+        contents: Buffer.from('<article class="doc"><h1>Install</h1><p>Install the server.</p></article>'),
+        src: { component: 'hello', version: '1.0', relative: 'install.adoc' },
+      },
+    ])
+    const { index, store } = generateIndex(playbook, contentCatalog, { synonyms: { kubernetes: 'k8s' } })
+    const data = JSON.parse(JSON.stringify(index))
+    expect(data.pipeline).to.include('synonyms')
+    // load the index like the client, which only knows the synonyms filter by its label
+    delete lunr.Pipeline.registeredFunctions.synonyms
+    registerSynonymsFilter(lunr, store.synonyms)
+    const clientIndex = lunr.Index.load(data)
+    expect(clientIndex.search('k8s').map(({ ref }) => ref)).to.eql(['1'])
+    expect(clientIndex.search('kubernetes').map(({ ref }) => ref)).to.eql(['1'])
+  })
+})
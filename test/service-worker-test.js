@@ -0,0 +1,126 @@
+/* eslint-env mocha */
+'use strict'
+
+const { buildContentCatalog, expect } = require('./harness')
+const vm = require('vm')
+
+const generateIndex = require('../lib/generate-index')
+const { createServiceWorkerFile, resolveServiceWorker } = require('../lib/service-worker')
+
+describe('createServiceWorkerFile()', () => {
+  let playbook
+
+  const readPrecache = (file) => JSON.parse(file.contents.toString().match(/^const PRECACHE = (.+)$/m)[1])
+
+  const createIndex = (text = 'Install Java.') => {
+    const contentCatalog = buildContentCatalog(playbook, [
+      {
+        contents: Buffer.from(`<article class="doc"><h1>Install</h1><p>${text}</p></article>`),
+        src: { component: 'hello', version: '1.0', relative: 'install.adoc' },
+      },
+      {
+        contents: Buffer.from('<article class="doc"><h1>Users</h1><p>Manage users.</p></article>'),
+        src: { component: 'hello', version: '1.0', module: 'admin', relative: 'users.adoc' },
+      },
+    ])
+    return generateIndex(playbook, contentCatalog)
+  }
+
+  // the index files written with the default index format (both)
+  const createIndexFiles = (text) => {
+    const index = createIndex(text)
+    return [generateIndex.createIndexFile(index), ...generateIndex.createSplitIndexFiles(index)]
+  }
+
+  beforeEach(() => {
+    playbook = {
+      site: {
+        url: 'https://docs.example.org',
+      },
+      urls: {
+        htmlExtensionStyle: 'indexify',
+      },
+    }
+  })
+
+  it('should create a service worker at the root of the site that precaches the split index files and the assets', () => {
+    const indexFiles = createIndexFiles()
+    const file = createServiceWorkerFile(indexFiles, ['_/js/search-ui.js'])
+    expect(file.out.path).to.equal('search-sw.js')
+    expect(file.pub.url).to.equal('/search-sw.js')
+    const precache = readPrecache(file)
+    expect(precache.paths.map((path) => path.replace(/-[0-9a-f]{8}\.json$/, '.json'))).to.eql([
+      'search-index/modules/hello-root.json',
+      'search-index/modules/hello-admin.json',
+      'search-index/manifest.json',
+      '_/js/search-ui.js',
+    ])
+    const manifest = JSON.parse(indexFiles[indexFiles.length - 1].contents)
+    expect(precache.moduleKeys).to.eql(manifest.modules.map(({ id, hash }) => `${id}:${hash}`))
+    expect(precache.version).to.match(/^[0-9a-f]{16}$/)
+  })
+
+  it('should not precache the index of the whole site when the split index files are also written', () => {
+    const indexFiles = createIndexFiles()
+    expect(indexFiles[0].out.path).to.equal('search-index.js')
+    const { paths } = readPrecache(createServiceWorkerFile(indexFiles))
+    expect(paths).to.not.include('search-index.js')
+    expect(paths).to.have.lengthOf(indexFiles.length - 1)
+  })
+
+  it('should precache the index of the whole site when the index is not split', () => {
+    const index = createIndex()
+    const indexFile = generateIndex.createIndexFile(index)
+    expect(readPrecache(createServiceWorkerFile([indexFile])).paths).to.eql(['search-index.js'])
+    const binaryIndexFile = generateIndex.createBinaryIndexFile(index)
+    const split = generateIndex.resolveSplit('none')
+    const manifestFile = generateIndex.createIndexManifestFile(index, { encoding: 'binary', indexFile: binaryIndexFile, split })
+    expect(readPrecache(createServiceWorkerFile([binaryIndexFile, manifestFile])).paths).to.eql([
+      binaryIndexFile.out.path,
+      'search-index/manifest.json',
+    ])
+  })
+
+  it('should change the version when the index changes', () => {
+    const { version } = readPrecache(createServiceWorkerFile(createIndexFiles()))
+    expect(readPrecache(createServiceWorkerFile(createIndexFiles()))).to.have.property('version', version)
+    expect(readPrecache(createServiceWorkerFile(createIndexFiles('Install Java 21.')))).to.not.have.property(
+      'version',
+      version
+    )
+  })
+
+  it('should precache the files listed in the manifest when installed', async () => {
+    const listeners = {}
+    const cached = []
+    const self = {
+      registration: { scope: 'https://docs.example.org/' },
+      addEventListener: (type, listener) => (listeners[type] = listener),
+      skipWaiting: () => Promise.resolve(),
+    }
+    const caches = { open: async () => ({ addAll: async (urls) => cached.push(...urls) }) }
+    const indexFiles = createIndexFiles()
+    vm.runInNewContext(createServiceWorkerFile(indexFiles).contents.toString(), { self, caches, Request: globalThis.Request, URL })
+    expect(listeners).to.have.keys('install', 'activate', 'fetch')
+    let installed
+    listeners.install({ waitUntil: (promise) => (installed = promise) })
+    await installed
+    const cachedUrls = cached.map(({ url }) => url)
+    expect(cachedUrls).to.include('https://docs.example.org/search-index/manifest.json')
+    const adminFile = indexFiles.find((file) => file.out.path.startsWith('search-index/modules/hello-admin-'))
+    expect(cachedUrls).to.include(`https://docs.example.org/${adminFile.out.path}`)
+    // the files are requested from the network, not from the HTTP cache
+    expect([...new Set(cached.map(({ cache }) => cache))]).to.eql(['reload'])
+  })
+})
+
+describe('resolveServiceWorker()', () => {
+  it('should not enable the service worker by default', () => {
+    expect(resolveServiceWorker()).to.be.false()
+    expect(resolveServiceWorker(true)).to.be.true()
+  })
+
+  it('should reject an invalid value', () => {
+    expect(() => resolveServiceWorker('yes')).to.throw('The serviceWorker option must be true or false')
+  })
+})
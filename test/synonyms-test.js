@@ -0,0 +1,61 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('./harness')
+const lunr = require('lunr')
+const ospath = require('path')
+
+const { resolveSynonyms, useSynonyms } = require('../lib/synonyms')
+
+const FIXTURES_DIR = ospath.join(__dirname, 'fixtures', 'synonyms')
+
+describe('resolveSynonyms()', () => {
+  it('should not return anything when no synonyms are specified', () => {
+    expect(resolveSynonyms()).to.be.undefined()
+    expect(resolveSynonyms({})).to.be.undefined()
+  })
+
+  it('should map each synonym to its term in lowercase', () => {
+    expect(resolveSynonyms({ Kubernetes: ['K8s', 'kube'], authentication: 'authn', version: 2 })).to.eql({
+      k8s: 'kubernetes',
+      kube: 'kubernetes',
+      authn: 'authentication',
+      2: 'version',
+    })
+  })
+
+  it('should read the synonyms from a YAML or JSON file relative to the base directory', () => {
+    const expected = { k8s: 'kubernetes', kube: 'kubernetes', authn: 'authentication' }
+    expect(resolveSynonyms('synonyms.yml', FIXTURES_DIR)).to.eql(expected)
+    expect(resolveSynonyms(ospath.join(FIXTURES_DIR, 'synonyms.json'))).to.eql(expected)
+  })
+
+  it('should reject invalid synonyms', () => {
+    expect(() => resolveSynonyms(['k8s'])).to.throw('The synonyms option must be a map of terms to synonyms')
+    expect(() => resolveSynonyms({ kubernetes: { k8s: true } })).to.throw('The synonyms of kubernetes must be a word')
+    expect(() => resolveSynonyms({ 'sign in': 'login' })).to.throw('A synonym must be a single word: sign in')
+    expect(() => resolveSynonyms({ login: 'log-in' })).to.throw('A synonym must be a single word: log-in')
+  })
+
+  it('should reject a file that cannot be read', () => {
+    expect(() => resolveSynonyms('synonyms.txt', FIXTURES_DIR)).to.throw('The synonyms file must be a YAML or JSON file')
+    expect(() => resolveSynonyms('missing.yml', FIXTURES_DIR)).to.throw('Cannot read the synonyms file')
+  })
+})
+
+describe('useSynonyms()', () => {
+  it('should replace the synonyms before the stemmer when indexing and searching', () => {
+    const synonyms = resolveSynonyms({ kubernetes: 'k8s' })
+    const index = lunr(function () {
+      useSynonyms(this, lunr, synonyms)
+      this.ref('id')
+      this.field('text')
+      this.add({ id: '1', text: 'Deploy to k8s.' })
+      this.add({ id: '2', text: 'Deploying to Kubernetes' })
+    })
+    expect(index.pipeline.toJSON()).to.eql(['synonyms', 'stemmer'])
+    expect(index.search('kubernetes').map(({ ref }) => ref).sort()).to.eql(['1', '2'])
+    expect(index.search('k8s').map(({ ref }) => ref).sort()).to.eql(['1', '2'])
+    expect(lunr.Index.load(JSON.parse(JSON.stringify(index))).search('k8s')).to.have.lengthOf(2)
+  })
+})
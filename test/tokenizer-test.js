@@ -0,0 +1,94 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('./harness')
+const lunr = require('lunr')
+
+const { resolveTokenizer, useTokenizer } = require('../lib/tokenizer')
+
+describe('resolveTokenizer()', () => {
+  it('should not return anything when the defaults of Lunr apply', () => {
+    expect(resolveTokenizer()).to.be.undefined()
+    expect(resolveTokenizer({ stopWords: [], splitIdentifiers: false, unstemmedFields: [] })).to.be.undefined()
+  })
+
+  it('should normalize the options', () => {
+    const fields = [{ name: 'title' }, { name: 'text' }]
+    expect(
+      resolveTokenizer(
+        { stopWords: ['The', ' via ', 'via'], tokenSeparator: '\\s+', splitIdentifiers: true, unstemmedFields: ['title'] },
+        fields
+      )
+    ).to.eql({ stopWords: ['the', 'via'], separator: '\\s+', splitIdentifiers: true, unstemmedFields: ['title'] })
+  })
+
+  it('should reject invalid options', () => {
+    expect(() => resolveTokenizer({ stopWords: 'the' })).to.throw('The stopWords option must be a list of words')
+    expect(() => resolveTokenizer({ stopWords: [''] })).to.throw('The stopWords option must be a list of words')
+    expect(() => resolveTokenizer({ tokenSeparator: '[' })).to.throw('The tokenSeparator option must be a regular expression')
+    expect(() => resolveTokenizer({ tokenSeparator: '\\s*' })).to.throw('The tokenSeparator option must be a regular expression')
+    expect(() => resolveTokenizer({ splitIdentifiers: 'yes' })).to.throw('The splitIdentifiers option must be true or false')
+    expect(() => resolveTokenizer({ unstemmedFields: 'title' })).to.throw('The unstemmedFields option must be a list')
+    expect(() => resolveTokenizer({ unstemmedFields: ['code'] }, [{ name: 'title' }])).to.throw(
+      'The unstemmedFields option must only contain the names of indexed fields: code'
+    )
+  })
+})
+
+describe('useTokenizer()', () => {
+  const buildIndex = (tokenizer, docs) =>
+    lunr(function () {
+      useTokenizer(this, lunr, resolveTokenizer(tokenizer, [{ name: 'title' }, { name: 'text' }]))
+      this.ref('id')
+      this.field('title')
+      this.field('text')
+      docs.forEach((doc) => this.add(doc))
+    })
+  const search = (index, query) => index.search(query).map(({ ref }) => ref).sort()
+
+  it('should also index the parts of camelCase and snake_case identifiers', () => {
+    const index = buildIndex({ splitIdentifiers: true }, [
+      { id: '1', text: 'Set max_connections to 10.' },
+      { id: '2', text: 'Call Foo.barBaz() on the HTTPServer of v2.3.1.' },
+    ])
+    expect(search(index, 'max_connections')).to.eql(['1'])
+    expect(search(index, 'connections')).to.eql(['1'])
+    expect(search(index, 'barbaz')).to.eql(['2'])
+    expect(search(index, 'baz')).to.eql(['2'])
+    expect(search(index, 'http')).to.eql(['2'])
+    expect(search(index, 'v2.3.1')).to.eql(['2'])
+    expect(index.invertedIndex).to.not.have.any.keys('3', '1')
+  })
+
+  it('should split the text on the custom separator', () => {
+    const index = buildIndex({ tokenSeparator: '[\\s,]+' }, [{ id: '1', text: 'Start with --dry-run,verbose' }])
+    expect(Object.keys(index.invertedIndex)).to.include.members(['dry-run', 'verbos'])
+    expect(search(index, 'dry')).to.eql([])
+  })
+
+  it('should leave out the stop words when indexing', () => {
+    const index = buildIndex({ stopWords: ['please'] }, [{ id: '1', text: 'Please restart the server' }])
+    expect(index.invertedIndex).to.not.have.any.keys('pleas', 'please')
+    expect(search(index, 'please')).to.eql([])
+    expect(search(index, 'please restart')).to.eql(['1'])
+  })
+
+  it('should not stem the words of the unstemmed fields', () => {
+    const index = buildIndex({ unstemmedFields: ['title'] }, [{ id: '1', title: 'Connections', text: 'Connections' }])
+    expect(index.invertedIndex.connections).to.have.property('title').that.has.property('1')
+    expect(index.invertedIndex.connect).to.have.property('text').that.has.property('1')
+    expect(index.invertedIndex.connect.title).to.eql({})
+    expect(search(index, 'title:connections')).to.eql(['1'])
+    expect(search(index, 'text:connections')).to.eql(['1'])
+    expect(index.search('connections')[0].matchData.metadata).to.have.keys('connections', 'connect')
+  })
+
+  it('should serialize the pipeline functions with the index', () => {
+    const index = buildIndex({ stopWords: ['please'], unstemmedFields: ['title'] }, [
+      { id: '1', title: 'Connections', text: 'Please check the connections' },
+    ])
+    const data = JSON.parse(JSON.stringify(index))
+    expect(data.pipeline).to.eql(['unstemmedFields-stemmer'])
+    expect(lunr.Index.load(data).search('title:connections')).to.have.lengthOf(1)
+  })
+})